@@ -82,6 +82,27 @@ const getAPI = async () => {
 };
 
 // Format utilities
+
+// Next steps for simulator error codes
+const ERROR_HINTS = {
+  UNAUTHORIZED: () => 'Run `spore config` to set a valid API key',
+  INSUFFICIENT_SCOPE: details => `The API key needs the ${details.requiredScope} scope`,
+  RATE_LIMIT_EXCEEDED: details => `Limit resets at ${new Date(details.resetAt).toLocaleString()}`,
+  QUOTA_EXCEEDED: details => `Daily quota resets at ${new Date(details.resetAt).toLocaleString()}`
+};
+
+// Simulator errors are { error: { code, message, details } }; network and
+// blockchain errors fall back to their message
+const formatError = (error) => {
+  const apiError = error.response?.data?.error || error.error;
+  
+  if (!apiError) return error.message;
+  if (typeof apiError === 'string') return apiError;
+  
+  const hint = ERROR_HINTS[apiError.code];
+  return `${apiError.message} [${apiError.code}]` +
+    (hint ? chalk.gray(` - ${hint(apiError.details || {})}`) : '');
+};
 const formatEther = (value) => {
   return ethers.formatEther(value) + ' ETH';
 };
@@ -159,7 +180,7 @@ program
       await saveConfig(newConfig);
       console.log(chalk.green('✓ Configuration saved'));
     } catch (error) {
-      spinner.fail('Connection failed: ' + error.message);
+      spinner.fail('Connection failed: ' + formatError(error));
     }
   });
 
@@ -229,7 +250,7 @@ program
       console.log('\n' + table.toString());
       
     } catch (error) {
-      spinner.fail('Failed to create organism: ' + error.message);
+      spinner.fail('Failed to create organism: ' + formatError(error));
     }
   });
 
@@ -238,9 +259,64 @@ program
   .command('list')
   .description('List your organisms')
   .option('-a, --address <address>', 'Address to query (default: your address)')
+  .option('--simulator', 'List simulator organisms owned by your API key')
+  .option('-s, --species <species>', 'Filter by species (simulator only)')
+  .option('--stage <stage>', 'Filter by growth stage (simulator only)')
+  .option('--min-health <health>', 'Minimum health percentage (simulator only)')
+  .option('--sort <sort>', 'Sort order, e.g. biomass_desc (simulator only)', 'created_desc')
+  .option('--page <page>', 'Page number (simulator only)', '1')
+  .option('--limit <limit>', 'Items per page (simulator only)', '20')
   .action(async (options) => {
     const spinner = ora('Fetching organisms...').start();
     
+    if (options.simulator) {
+      try {
+        const api = await getAPI();
+        
+        const response = await api.get('/organisms', {
+          params: {
+            species: options.species,
+            stage: options.stage && options.stage.toUpperCase(),
+            minHealth: options.minHealth,
+            sort: options.sort,
+            page: options.page,
+            limit: options.limit
+          }
+        });
+        
+        const { organisms, pagination } = response.data;
+        
+        if (pagination.total === 0) {
+          spinner.info('No organisms found');
+          return;
+        }
+        
+        const table = new Table({
+          head: ['ID', 'Species', 'Stage', 'Biomass', 'Health', 'Environment'],
+          style: { head: ['cyan'] }
+        });
+        
+        organisms.forEach(organism => {
+          table.push([
+            organism.id,
+            organism.species,
+            organism.stage,
+            organism.biomass.toFixed(1) + ' mg',
+            organism.health.toFixed(1) + '%',
+            organism.environmentId || '-'
+          ]);
+        });
+        
+        spinner.succeed(`Found ${pagination.total} organism(s)`);
+        console.log('\n' + table.toString());
+        console.log(chalk.gray(`Page ${pagination.page} of ${pagination.totalPages}`));
+        
+      } catch (error) {
+        spinner.fail('Failed to fetch organisms: ' + formatError(error));
+      }
+      return;
+    }
+    
     try {
       const signer = await getSigner();
       const contracts = await getContracts();
@@ -277,7 +353,7 @@ program
       console.log('\n' + table.toString());
       
     } catch (error) {
-      spinner.fail('Failed to fetch organisms: ' + error.message);
+      spinner.fail('Failed to fetch organisms: ' + formatError(error));
     }
   });
 
@@ -367,7 +443,7 @@ program
       }
       
     } catch (error) {
-      spinner.fail('Failed to get organism: ' + error.message);
+      spinner.fail('Failed to get organism: ' + formatError(error));
     }
   });
 
@@ -381,7 +457,9 @@ program
     const spinner = ora('Connecting to real-time stream...').start();
     
     try {
-      const ws = new WebSocket(`${config.wsUrl}?organismId=${id}`);
+      const ws = new WebSocket(`${config.wsUrl}?organismId=${encodeURIComponent(id)}`, {
+        headers: config.apiKey ? { 'X-API-Key': config.apiKey } : {}
+      });
       let updateCount = 0;
       const startTime = Date.now();
       const duration = parseInt(options.duration) * 1000;
@@ -394,6 +472,11 @@ program
       ws.on('message', (data) => {
         const message = JSON.parse(data);
         
+        if (message.type === 'error') {
+          spinner.fail('Stream error: ' + formatError(message));
+          return;
+        }
+        
         if (message.type === 'update') {
           updateCount++;
           const update = message.data;
@@ -422,12 +505,12 @@ program
       });
       
       ws.on('error', (error) => {
-        spinner.fail('Stream error: ' + error.message);
+        spinner.fail('Stream error: ' + formatError(error));
         process.exit(1);
       });
       
     } catch (error) {
-      spinner.fail('Failed to connect: ' + error.message);
+      spinner.fail('Failed to connect: ' + formatError(error));
     }
   });
 
@@ -471,7 +554,7 @@ program
       console.log('\n' + table.toString());
       
     } catch (error) {
-      spinner.fail('Failed to update conditions: ' + error.message);
+      spinner.fail('Failed to update conditions: ' + formatError(error));
     }
   });
 
@@ -480,6 +563,7 @@ program
   .command('predict <id>')
   .description('Predict organism growth')
   .option('-h, --hours <hours>', 'Prediction timeframe in hours', '24')
+  .option('-r, --runs <runs>', 'Number of stochastic runs for confidence bands', '1')
   .action(async (id, options) => {
     const spinner = ora('Generating predictions...').start();
     
@@ -487,7 +571,8 @@ program
       const api = await getAPI();
       
       const response = await api.post(`/data/${id}/predict`, {
-        hours: parseInt(options.hours)
+        hours: parseInt(options.hours),
+        runs: parseInt(options.runs)
       });
       
       spinner.succeed('Predictions generated');
@@ -504,23 +589,46 @@ program
       console.log(`  Stage: ${current.stage}\n`);
       
       // Predictions table
+      const hasBands = response.data.runs > 1 && predictions.some(pred => pred.bands);
       const table = new Table({
-        head: ['Hour', 'Biomass (mg)', 'Health (%)', 'Stage'],
+        head: hasBands
+          ? ['Hour', 'Biomass p10', 'Biomass p50', 'Biomass p90', 'Health p10', 'Health p50', 'Health p90', 'Stage']
+          : ['Hour', 'Biomass (mg)', 'Health (%)', 'Stage'],
         style: { head: ['cyan'] }
       });
       
       // Show every 4 hours for readability
       predictions.filter((_, i) => i % 4 === 3).forEach(pred => {
-        table.push([
-          pred.hour,
-          pred.biomass.toFixed(1),
-          pred.health.toFixed(1),
-          pred.stage
-        ]);
+        table.push(hasBands
+          ? [
+            pred.hour,
+            pred.bands.biomass.p10.toFixed(1),
+            pred.bands.biomass.p50.toFixed(1),
+            pred.bands.biomass.p90.toFixed(1),
+            pred.bands.health.p10.toFixed(1),
+            pred.bands.health.p50.toFixed(1),
+            pred.bands.health.p90.toFixed(1),
+            pred.stage
+          ]
+          : [
+            pred.hour,
+            pred.biomass.toFixed(1),
+            pred.health.toFixed(1),
+            pred.stage
+          ]);
       });
       
       console.log(table.toString());
       
+      // Harvest time distribution across runs
+      const harvestTime = response.data.harvestTime;
+      if (hasBands && harvestTime) {
+        console.log(chalk.gray(`\nHarvest within ${options.hours}h in ${(harvestTime.probability * 100).toFixed(0)}% of ${response.data.runs} runs`));
+        if (harvestTime.p50 !== null) {
+          console.log(chalk.gray(`Harvest hour p10/p50/p90: ${harvestTime.p10.toFixed(0)} / ${harvestTime.p50.toFixed(0)} / ${harvestTime.p90.toFixed(0)}`));
+        }
+      }
+      
       // Harvest prediction
       if (response.data.estimatedHarvestTime > 0) {
         console.log(chalk.green(`\n🌾 Estimated harvest time: ${response.data.estimatedHarvestTime} hours`));
@@ -531,7 +639,7 @@ program
       }
       
     } catch (error) {
-      spinner.fail('Failed to generate predictions: ' + error.message);
+      spinner.fail('Failed to generate predictions: ' + formatError(error));
     }
   });
 
@@ -542,6 +650,7 @@ program
   .option('-s, --species <species>', 'Species to test', 'Tomato')
   .option('-d, --duration <hours>', 'Experiment duration', '168')
   .option('-r, --replications <count>', 'Number of replications', '3')
+  .option('-c, --conditions <file>', 'JSON file with experimental conditions')
   .action(async (options) => {
     const spinner = ora('Setting up experiment...').start();
     
@@ -549,13 +658,16 @@ program
       const api = await getAPI();
       
       // Define experimental conditions
-      const conditions = [
-        { name: 'Control', temperature: 22, humidity: 65, ph: 6.8 },
-        { name: 'High Temp', temperature: 28, humidity: 65, ph: 6.8 },
-        { name: 'Low pH', temperature: 22, humidity: 65, ph: 5.5 },
-        { name: 'Optimal', temperature: 24, humidity: 70, ph: 6.5 }
-      ];
-      
+      const conditions = options.conditions
+        ? JSON.parse(await fs.readFile(options.conditions, 'utf8'))
+        : [
+          { name: 'Control', environmentalFactors: { temperature: 22, humidity: 65, ph: 6.8 } },
+          { name: 'High Temp', environmentalFactors: { temperature: 28, humidity: 65, ph: 6.8 } },
+          { name: 'Low pH', environmentalFactors: { temperature: 22, humidity: 65, ph: 5.5 } },
+          { name: 'Optimal', environmentalFactors: { temperature: 24, humidity: 70, ph: 6.5 } }
+        ];
+      
+      spinner.stop();
       console.log(chalk.bold('\n🧪 Experimental Design\n'));
       
       const designTable = new Table({
@@ -564,7 +676,8 @@ program
       });
       
       conditions.forEach(cond => {
-        designTable.push([cond.name, cond.temperature, cond.humidity, cond.ph]);
+        const factors = cond.environmentalFactors || {};
+        designTable.push([cond.name, factors.temperature ?? '-', factors.humidity ?? '-', factors.ph ?? '-']);
       });
       
       console.log(designTable.toString());
@@ -578,86 +691,169 @@ program
       
       if (!confirm.value) return;
       
-      // Run experiment
-      spinner.start('Running experiment...');
-      const results = [];
+      // Create and run experiment on the simulator
+      spinner.start('Creating experiment...');
+      const createResp = await api.post('/experiments', {
+        name: `${options.species} CLI experiment`,
+        species: options.species,
+        conditions,
+        duration: parseInt(options.duration),
+        replications: parseInt(options.replications)
+      });
       
-      for (let c = 0; c < conditions.length; c++) {
-        for (let r = 0; r < parseInt(options.replications); r++) {
-          spinner.text = `Running condition ${c + 1}/${conditions.length}, replication ${r + 1}/${options.replications}...`;
-          
-          // Create organism
-          const createResp = await api.post('/organisms', {
-            species: options.species,
-            initialBiomass: 100
-          });
-          
-          const organismId = createResp.data.organism.id;
-          
-          // Apply conditions
-          await api.put(`/organisms/${organismId}`, {
-            environmentalFactors: {
-              temperature: conditions[c].temperature,
-              humidity: conditions[c].humidity,
-              ph: conditions[c].ph
-            }
-          });
-          
-          // Simulate growth
-          for (let h = 0; h < parseInt(options.duration); h += 24) {
-            await api.put(`/organisms/${organismId}`, { simulate: true });
-          }
-          
-          // Get final state
-          const finalResp = await api.get(`/organisms/${organismId}`);
-          
-          results.push({
-            condition: conditions[c].name,
-            replication: r + 1,
-            finalBiomass: finalResp.data.biomass,
-            finalHealth: finalResp.data.health,
-            finalStage: finalResp.data.stage
-          });
-        }
+      const experimentId = createResp.data.id;
+      await api.post(`/experiments/${experimentId}/run`);
+      
+      let results;
+      do {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        results = (await api.get(`/experiments/${experimentId}/results`)).data;
+        spinner.text = `Running experiment... ${results.summary.totalOrganisms}/${results.summary.expectedOrganisms} organisms`;
+      } while (results.status === 'running');
+      
+      if (results.status === 'failed') {
+        spinner.fail('Experiment failed: ' + results.error);
+        return;
       }
       
-      spinner.succeed('Experiment complete!');
+      spinner.succeed(`Experiment complete! (ID: ${experimentId})`);
       
-      // Analyze results
+      // Display results
       console.log(chalk.bold('\n📊 Results Summary\n'));
       
       const resultsTable = new Table({
-        head: ['Condition', 'Avg Biomass (mg)', 'Avg Health (%)', 'Success Rate (%)'],
+        head: ['Condition', 'Avg Biomass (mg)', 'Std Dev', '95% CI', 'Avg Health (%)', 'Success Rate (%)'],
         style: { head: ['cyan'] }
       });
       
-      conditions.forEach(cond => {
-        const condResults = results.filter(r => r.condition === cond.name);
-        const avgBiomass = condResults.reduce((sum, r) => sum + r.finalBiomass, 0) / condResults.length;
-        const avgHealth = condResults.reduce((sum, r) => sum + r.finalHealth, 0) / condResults.length;
-        const successRate = (condResults.filter(r => r.finalStage === 'HARVEST').length / condResults.length) * 100;
+      results.conditions.forEach(cond => {
+        const ci = cond.biomass.confidenceInterval;
         
         resultsTable.push([
           cond.name,
-          avgBiomass.toFixed(1),
-          avgHealth.toFixed(1),
-          successRate.toFixed(0)
+          cond.avgBiomass.toFixed(1),
+          cond.biomass.stdDev.toFixed(1),
+          ci ? `${ci.lower.toFixed(1)} – ${ci.upper.toFixed(1)}` : '-',
+          cond.avgHealth.toFixed(1),
+          cond.successRate.toFixed(0)
         ]);
       });
       
       console.log(resultsTable.toString());
       
-      // Find best condition
-      const bestCondition = conditions.reduce((best, cond) => {
-        const condResults = results.filter(r => r.condition === cond.name);
-        const avgBiomass = condResults.reduce((sum, r) => sum + r.finalBiomass, 0) / condResults.length;
-        return avgBiomass > best.biomass ? { name: cond.name, biomass: avgBiomass } : best;
-      }, { name: '', biomass: 0 });
+      console.log(chalk.green(`\n✨ Best condition: ${results.summary.bestCondition}`));
       
-      console.log(chalk.green(`\n✨ Best condition: ${bestCondition.name}`));
+    } catch (error) {
+      spinner.fail('Experiment failed: ' + formatError(error));
+    }
+  });
+
+// Optimize environmental setpoints
+program
+  .command('optimize')
+  .description('Find environmental setpoints that maximize growth')
+  .option('-i, --id <id>', 'Simulator organism ID')
+  .option('-s, --species <species>', 'Species profile to optimize for', 'Tomato')
+  .option('-o, --objective <objective>', 'max_biomass or min_harvest_time', 'max_biomass')
+  .option('-d, --duration <hours>', 'Target time in hours', '168')
+  .option('-m, --min-health <health>', 'Minimum health to maintain', '80')
+  .action(async (options) => {
+    const spinner = ora('Searching setpoints...').start();
+    
+    try {
+      const api = await getAPI();
+      
+      const response = await api.post('/optimize', {
+        organismId: options.id,
+        species: options.id ? undefined : options.species,
+        objective: options.objective,
+        hours: parseInt(options.duration),
+        constraints: { minHealth: parseFloat(options.minHealth) }
+      });
+      
+      const result = response.data;
+      spinner.succeed(`Search complete (${result.evaluations} simulations)`);
+      
+      console.log(chalk.bold('\n🎯 Recommended Setpoints\n'));
+      
+      const table = new Table({
+        head: ['Factor', 'Recommended'],
+        style: { head: ['cyan'] }
+      });
+      
+      Object.entries(result.recommendedSetpoints).forEach(([factor, value]) => {
+        table.push([factor, value]);
+      });
+      
+      console.log(table.toString());
+      
+      console.log(chalk.bold('\n📈 Expected Outcome\n'));
+      
+      const outcomeTable = new Table({
+        head: ['Metric', 'Current Setpoints', 'Recommended'],
+        style: { head: ['cyan'] }
+      });
+      
+      const formatHour = (hour) => (hour === null ? '-' : hour + ' h');
+      outcomeTable.push(
+        ['Biomass', result.currentOutcome.biomass.toFixed(1) + ' mg', result.expectedOutcome.biomass.toFixed(1) + ' mg'],
+        ['Min Health', result.currentOutcome.minHealth.toFixed(1) + '%', result.expectedOutcome.minHealth.toFixed(1) + '%'],
+        ['Stage', result.currentOutcome.stage, result.expectedOutcome.stage],
+        ['Harvest', formatHour(result.currentOutcome.harvestHour), formatHour(result.expectedOutcome.harvestHour)]
+      );
+      
+      console.log(outcomeTable.toString());
+      
+      if (!result.feasible) {
+        console.log(chalk.yellow(`\n⚠️  No setpoints kept health above ${result.constraints.minHealth}%`));
+      }
+      
+    } catch (error) {
+      spinner.fail('Optimization failed: ' + formatError(error));
+    }
+  });
+
+// API key usage command
+program
+  .command('usage')
+  .description('Show request and quota usage of the configured API key')
+  .action(async () => {
+    const spinner = ora('Fetching usage...').start();
+    
+    try {
+      const api = await getAPI();
+      const response = await api.get('/usage');
+      const usage = response.data;
+      
+      spinner.succeed(`Usage for ${usage.tier} key ${usage.keyId}`);
+      
+      const table = new Table({
+        head: ['Limit', 'Used', 'Remaining', 'Resets'],
+        style: { head: ['cyan'] }
+      });
+      
+      const formatWindow = (label, window) => {
+        const percent = window.used / window.limit * 100;
+        const color = percent >= 90 ? chalk.red : percent >= 70 ? chalk.yellow : chalk.green;
+        return [
+          `${label} (${window.limit.toLocaleString()})`,
+          color(window.used.toLocaleString()),
+          window.remaining.toLocaleString(),
+          new Date(window.resetAt).toLocaleString()
+        ];
+      };
+      
+      table.push(
+        formatWindow('Requests / hour', usage.hourly),
+        formatWindow('Requests / day', usage.daily),
+        formatWindow('WebSocket messages / minute', usage.websocket)
+      );
+      
+      console.log('\n' + table.toString());
+      console.log(chalk.gray(`\nTotal: ${usage.totalRequests} requests, ${usage.totalWebsocketMessages} WebSocket messages`));
       
     } catch (error) {
-      spinner.fail('Experiment failed: ' + error.message);
+      spinner.fail('Failed to get usage: ' + formatError(error));
     }
   });
 
@@ -707,7 +903,7 @@ program
       }
       
     } catch (error) {
-      spinner.fail('Failed to get network info: ' + error.message);
+      spinner.fail('Failed to get network info: ' + formatError(error));
     }
   });
 
@@ -739,7 +935,7 @@ function getRarityColor(rarity) {
 
 // Error handling
 process.on('unhandledRejection', (error) => {
-  console.error(chalk.red('Error: ' + error.message));
+  console.error(chalk.red('Error: ' + formatError(error)));
   process.exit(1);
 });
 
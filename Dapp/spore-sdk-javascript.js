@@ -54,6 +54,118 @@ const DataType = {
   ELECTRICAL_SIGNAL: 9
 };
 
+/**
+ * Base class for simulator API errors
+ * code is the API error code, status the HTTP status (unset for stream errors)
+ */
+class SporeError extends Error {
+  constructor(message, { code = 'UNKNOWN_ERROR', status, details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/** Invalid parameters, or an operation the resource's state does not allow */
+class ValidationError extends SporeError {}
+
+/** Missing, invalid or revoked API or admin key */
+class AuthenticationError extends SporeError {}
+
+/** API key lacks the scope the operation needs, or the admin API is disabled */
+class PermissionError extends SporeError {}
+
+/** Organism, environment, experiment or other resource does not exist */
+class NotFoundError extends SporeError {}
+
+/** Resource already exists or is busy */
+class ConflictError extends SporeError {}
+
+/**
+ * Hourly rate limit or daily quota used up
+ * retryAfter is in seconds
+ */
+class RateLimitError extends SporeError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.retryAfter = options.retryAfter;
+    this.resetAt = options.details?.resetAt;
+  }
+}
+
+/** The simulator failed to handle the request */
+class ServerError extends SporeError {}
+
+/** The simulator could not be reached */
+class NetworkError extends SporeError {}
+
+// API error codes and the classes they map to
+const ERROR_CLASSES = {
+  INVALID_REQUEST: ValidationError,
+  INVALID_STAGE_TRANSITION: ValidationError,
+  INVALID_STATE: ValidationError,
+  PAYLOAD_TOO_LARGE: ValidationError,
+  UNAUTHORIZED: AuthenticationError,
+  FORBIDDEN: PermissionError,
+  INSUFFICIENT_SCOPE: PermissionError,
+  NOT_FOUND: NotFoundError,
+  INVALID_ORGANISM_ID: NotFoundError,
+  EXPORT_EXPIRED: NotFoundError,
+  ALREADY_EXISTS: ConflictError,
+  EXPERIMENT_RUNNING: ConflictError,
+  CHAOS_EVENT_ACTIVE: ConflictError,
+  RATE_LIMIT_EXCEEDED: RateLimitError,
+  QUOTA_EXCEEDED: RateLimitError,
+  SERVER_ERROR: ServerError
+};
+
+// Fallback for codes this SDK version does not know
+const errorClassForStatus = (status) => {
+  if (status === 400 || status === 413) return ValidationError;
+  if (status === 401) return AuthenticationError;
+  if (status === 403) return PermissionError;
+  if (status === 404 || status === 410) return NotFoundError;
+  if (status === 409) return ConflictError;
+  if (status === 429) return RateLimitError;
+  if (status >= 500) return ServerError;
+  return SporeError;
+};
+
+/**
+ * Build a SporeError from an API error body ({ error: { code, message, details } })
+ */
+function createSporeError(body, { status, retryAfter, cause } = {}) {
+  const error = body?.error;
+  
+  // Simulators predating the error catalogue send { error: 'message' }
+  const { code, message, details } = typeof error === 'object' && error !== null
+    ? error
+    : { message: error || cause?.message || 'Unknown error' };
+  
+  const ErrorClass = ERROR_CLASSES[code] || errorClassForStatus(status);
+  return new ErrorClass(message, { code, status, details, cause, retryAfter });
+}
+
+/**
+ * Convert an axios error into a SporeError
+ */
+function toSporeError(error) {
+  if (error instanceof SporeError) return error;
+  
+  if (!error.response) {
+    return new NetworkError(error.message, { code: 'NETWORK_ERROR', cause: error });
+  }
+  
+  const retryAfter = error.response.headers?.['retry-after'];
+  return createSporeError(error.response.data, {
+    status: error.response.status,
+    retryAfter: retryAfter !== undefined ? Number(retryAfter) : undefined,
+    cause: error
+  });
+}
+
 /**
  * Main SporeSDK class
  */
@@ -65,6 +177,7 @@ class SporeSDK extends EventEmitter {
       simulatorUrl: config.simulatorUrl || DEFAULT_SIMULATOR_URL,
       wsUrl: config.wsUrl || DEFAULT_WS_URL,
       apiKey: config.apiKey,
+      adminKey: config.adminKey, // Simulator ADMIN_API_KEY; an admin-scoped apiKey can manage its own tenant's keys
       network: config.network || 'mainnet',
       contractAddresses: config.contractAddresses || this._getDefaultAddresses(config.network),
       provider: config.provider,
@@ -139,7 +252,8 @@ class SporeSDK extends EventEmitter {
       initialBiomass = 100,
       growthRate = 50,
       metadata = '',
-      simulate = true
+      simulate = true,
+      seed
     } = params;
     
     // Create on blockchain if connected
@@ -170,7 +284,8 @@ class SporeSDK extends EventEmitter {
     if (simulate) {
       const response = await this.simulatorClient.post('/organisms', {
         species,
-        initialBiomass
+        initialBiomass,
+        seed
       });
       
       simulatorData = response.data.organism;
@@ -211,7 +326,9 @@ class SporeSDK extends EventEmitter {
         const response = await this.simulatorClient.get(`/organisms/${organismId}`);
         result.simulator = response.data;
       } catch (error) {
-        // Organism might not exist in simulator
+        // Organism might not exist in simulator, or the simulator may be down;
+        // either way the blockchain data is still returned
+        if (!(error instanceof NotFoundError || error instanceof NetworkError)) throw error;
         result.simulator = null;
       }
     }
@@ -219,19 +336,41 @@ class SporeSDK extends EventEmitter {
     return result;
   }
   
+  /**
+   * List simulator organisms owned by this API key
+   * Filters: species, stage, minHealth, page, limit, sort (e.g. 'biomass_desc')
+   */
+  async listOrganisms(filters = {}) {
+    const response = await this.simulatorClient.get('/organisms', { params: filters });
+    
+    return response.data;
+  }
+  
   /**
    * Stream real-time organism data
    */
   streamOrganism(organismId, callbacks = {}) {
-    const ws = new WebSocket(`${this.config.wsUrl}?organismId=${organismId}`);
+    let url = `${this.config.wsUrl}?organismId=${encodeURIComponent(organismId)}`;
+    let options;
     
-    ws.on('open', () => {
+    // The key goes in a header so it stays out of URLs and access logs.
+    // Browser WebSockets cannot set headers, so there it has to be in the query.
+    if (this.config.apiKey && typeof window !== 'undefined') {
+      url += `&apiKey=${encodeURIComponent(this.config.apiKey)}`;
+    } else if (this.config.apiKey) {
+      options = { headers: { 'X-API-Key': this.config.apiKey } };
+    }
+    
+    // addEventListener works on both the browser and the Node WebSocket
+    const ws = new WebSocket(url, options);
+    
+    ws.addEventListener('open', () => {
       this.emit('streamConnected', { organismId });
       if (callbacks.onConnect) callbacks.onConnect();
     });
     
-    ws.on('message', (data) => {
-      const message = JSON.parse(data);
+    ws.addEventListener('message', (event) => {
+      const message = JSON.parse(event.data);
       
       switch (message.type) {
         case 'initial':
@@ -241,19 +380,26 @@ class SporeSDK extends EventEmitter {
           if (callbacks.onUpdate) callbacks.onUpdate(message.data);
           this.emit('organismUpdate', { organismId, data: message.data });
           break;
-        case 'error':
-          if (callbacks.onError) callbacks.onError(message.message);
+        case 'error': {
+          const error = createSporeError(message);
+          if (callbacks.onError) callbacks.onError(error);
+          this.emit('streamError', { organismId, error });
           break;
+        }
       }
     });
     
-    ws.on('close', () => {
+    ws.addEventListener('close', () => {
       this.wsConnections.delete(organismId);
       this.emit('streamDisconnected', { organismId });
       if (callbacks.onDisconnect) callbacks.onDisconnect();
     });
     
-    ws.on('error', (error) => {
+    ws.addEventListener('error', (event) => {
+      const error = new NetworkError(event.message || 'WebSocket error', {
+        code: 'NETWORK_ERROR',
+        cause: event.error || event
+      });
       if (callbacks.onError) callbacks.onError(error);
       this.emit('streamError', { organismId, error });
     });
@@ -278,10 +424,22 @@ class SporeSDK extends EventEmitter {
   
   /**
    * Update organism growth stage
+   * Uses the simulator when no signer is connected or when options.simulator is set
    */
-  async updateGrowthStage(organismId, newStage) {
-    if (!this.contracts.growthTracker || !this.config.signer) {
-      throw new Error('Blockchain connection required');
+  async updateGrowthStage(organismId, newStage, options = {}) {
+    const { simulator = !this.contracts.growthTracker || !this.config.signer } = options;
+    
+    if (simulator) {
+      const stage = typeof newStage === 'number'
+        ? Object.keys(GrowthStage).find(name => GrowthStage[name] === newStage)
+        : String(newStage).toUpperCase();
+      
+      const response = await this.simulatorClient.post(
+        `/organisms/${organismId}/stage`,
+        { stage }
+      );
+      
+      return { simulator: response.data };
     }
     
     const tx = await this.contracts.growthTracker.updateGrowthStage(
@@ -297,6 +455,70 @@ class SporeSDK extends EventEmitter {
     };
   }
   
+  /**
+   * Get the event log of a simulated organism ({ type, source, field, from, to, limit })
+   */
+  async getOrganismEvents(organismId, params = {}) {
+    const response = await this.simulatorClient.get(
+      `/organisms/${organismId}/events`,
+      { params }
+    );
+    
+    return response.data;
+  }
+  
+  /**
+   * Get the simulator's random event definitions
+   */
+  async getRandomEvents() {
+    const response = await this.simulatorClient.get('/random-events');
+    
+    return response.data.events;
+  }
+  
+  /**
+   * Get the ancestry tree of a simulated organism
+   */
+  async getLineage(organismId, depth = 5) {
+    const response = await this.simulatorClient.get(
+      `/organisms/${organismId}/lineage`,
+      { params: { depth } }
+    );
+    
+    return response.data;
+  }
+  
+  /**
+   * Harvest a simulated organism in the HARVEST stage
+   */
+  async harvestOrganism(organismId) {
+    const response = await this.simulatorClient.post(`/organisms/${organismId}/harvest`);
+    
+    return response.data;
+  }
+  
+  /**
+   * Get the yield report of an organism, or of an environment with options.environment
+   */
+  async getYieldReport(id, options = {}) {
+    const path = options.environment ? `/environments/${id}/yield` : `/organisms/${id}/yield`;
+    const response = await this.simulatorClient.get(path);
+    
+    return response.data;
+  }
+  
+  /**
+   * Treat a simulated organism's infections ('fungicide' or 'insecticide')
+   */
+  async treatOrganism(organismId, treatment) {
+    const response = await this.simulatorClient.post(
+      `/organisms/${organismId}/treat`,
+      { treatment }
+    );
+    
+    return response.data;
+  }
+  
   /**
    * Submit biological data
    */
@@ -339,11 +561,17 @@ class SporeSDK extends EventEmitter {
   
   /**
    * Predict organism growth
+   * With options.runs > 1, each prediction carries p10/p50/p90 bands and
+   * harvestTime describes the distribution of harvest hours across runs.
+   * options.schedule ([{ hour, environmentalFactors | event, repeatEvery }]) adds a
+   * what-if projection returned as `scenario` and `comparison` next to the baseline
    */
-  async predictGrowth(organismId, hours = 24) {
+  async predictGrowth(organismId, hours = 24, options = {}) {
+    const { runs = 1, includeConfidenceIntervals = true, schedule } = options;
+    
     const response = await this.simulatorClient.post(
       `/data/${organismId}/predict`,
-      { hours }
+      { hours, runs, includeConfidenceIntervals, schedule }
     );
     
     return response.data;
@@ -361,6 +589,20 @@ class SporeSDK extends EventEmitter {
     return response.data;
   }
   
+  /**
+   * Export recorded organism data (csv, json or ndjson)
+   */
+  async exportData(organismId, options = {}) {
+    const { format = 'csv', dateRange, includeMetadata = true } = options;
+    
+    const response = await this.simulatorClient.post(
+      `/data/${organismId}/export`,
+      { format, dateRange, includeMetadata }
+    );
+    
+    return response.data;
+  }
+  
   /**
    * Allocate resources to organism
    */
@@ -392,8 +634,20 @@ class SporeSDK extends EventEmitter {
   
   /**
    * Breed two organisms
+   * Uses the simulator when options.simulator is set (options.seed, options.environmentId)
    */
-  async breedOrganisms(parentId1, parentId2) {
+  async breedOrganisms(parentId1, parentId2, options = {}) {
+    if (options.simulator) {
+      const { simulator, ...params } = options;
+      const response = await this.simulatorClient.post('/organisms/breed', {
+        parentId1,
+        parentId2,
+        ...params
+      });
+      
+      return { simulator: response.data };
+    }
+    
     if (!this.contracts.bioNFT || !this.config.signer) {
       throw new Error('Blockchain connection required');
     }
@@ -429,18 +683,233 @@ class SporeSDK extends EventEmitter {
     };
   }
   
+  /**
+   * Get species growth profiles, or a single one by name (simulator only)
+   */
+  async getSpecies(name) {
+    const url = name ? `/species/${encodeURIComponent(name)}` : '/species';
+    const response = await this.simulatorClient.get(url);
+    
+    return response.data;
+  }
+  
+  /**
+   * Define a custom species growth profile (simulator only)
+   */
+  async createSpecies(profile) {
+    const response = await this.simulatorClient.post('/species', profile);
+    
+    return response.data;
+  }
+  
+  /**
+   * Create an environment preset (simulator only)
+   */
+  async createEnvironment(params) {
+    const response = await this.simulatorClient.post('/environments', params);
+    
+    return response.data;
+  }
+  
+  /**
+   * Move organisms into an environment and apply its conditions (simulator only)
+   */
+  async applyEnvironment(environmentId, organismIds) {
+    const response = await this.simulatorClient.post(
+      `/environments/${environmentId}/apply`,
+      { organismIds }
+    );
+    
+    return response.data;
+  }
+  
+  /**
+   * Update environment conditions for every organism in it (simulator only)
+   */
+  async updateEnvironmentConditions(environmentId, conditions) {
+    const response = await this.simulatorClient.put(
+      `/environments/${environmentId}/conditions`,
+      { conditions }
+    );
+    
+    return response.data;
+  }
+  
+  /**
+   * Create a server-side experiment (simulator only)
+   */
+  async createExperiment(params) {
+    const response = await this.simulatorClient.post('/experiments', params);
+    
+    return response.data;
+  }
+  
+  /**
+   * Start running an experiment (simulator only)
+   */
+  async runExperiment(experimentId) {
+    const response = await this.simulatorClient.post(`/experiments/${experimentId}/run`);
+    
+    return response.data;
+  }
+  
+  /**
+   * Get experiment results and summary statistics (simulator only)
+   */
+  async getExperimentResults(experimentId) {
+    const response = await this.simulatorClient.get(`/experiments/${experimentId}/results`);
+    
+    return response.data;
+  }
+  
+  /**
+   * Search environmental setpoints for an organism or species (simulator only)
+   * params: { organismId | species, objective: 'max_biomass' | 'min_harvest_time',
+   *           hours, constraints: { minHealth }, bounds, maxEvaluations }
+   */
+  async optimizeEnvironment(params) {
+    const response = await this.simulatorClient.post('/optimize', params);
+    
+    return response.data;
+  }
+  
+  /**
+   * Create a simulator API key (requires adminKey)
+   * params: { name, tier, tenantId, scopes }. The plain key is only returned once.
+   */
+  async createApiKey(params) {
+    const response = await this.simulatorClient.post('/admin/keys', params);
+    
+    return response.data;
+  }
+  
+  /**
+   * List simulator API keys, optionally for one tenant (requires adminKey)
+   */
+  async listApiKeys(tenantId) {
+    const response = await this.simulatorClient.get('/admin/keys', {
+      params: tenantId ? { tenantId } : {}
+    });
+    
+    return response.data.keys;
+  }
+  
+  /**
+   * Revoke a simulator API key (requires adminKey)
+   */
+  async revokeApiKey(keyId) {
+    const response = await this.simulatorClient.post(`/admin/keys/${keyId}/revoke`);
+    
+    return response.data.key;
+  }
+  
+  /**
+   * Replace the scopes of a simulator API key (requires adminKey)
+   */
+  async setApiKeyScopes(keyId, scopes) {
+    const response = await this.simulatorClient.put(`/admin/keys/${keyId}/scopes`, { scopes });
+    
+    return response.data.key;
+  }
+  
+  /**
+   * Issue a new secret for a simulator API key (requires adminKey)
+   */
+  async rotateApiKey(keyId) {
+    const response = await this.simulatorClient.post(`/admin/keys/${keyId}/rotate`);
+    
+    return response.data;
+  }
+  
+  /**
+   * Get the API key's request, quota and WebSocket message usage
+   */
+  async getUsage() {
+    const response = await this.simulatorClient.get('/usage');
+    
+    return response.data;
+  }
+  
+  /**
+   * Get the simulator's virtual clock
+   */
+  async getClock() {
+    const response = await this.simulatorClient.get('/clock');
+    
+    return response.data;
+  }
+  
+  /**
+   * Pause or resume the simulator's virtual clock (requires adminKey)
+   */
+  async setClockPaused(paused) {
+    const response = await this.simulatorClient.post(paused ? '/clock/pause' : '/clock/resume');
+    
+    return response.data;
+  }
+  
+  /**
+   * Set simulated seconds per real second (requires adminKey)
+   */
+  async setClockSpeed(speed) {
+    const response = await this.simulatorClient.put('/clock/speed', { speed });
+    
+    return response.data;
+  }
+  
+  /**
+   * Fast-forward every simulator organism by the given simulated hours (requires adminKey)
+   */
+  async advanceClock(hours) {
+    const response = await this.simulatorClient.post('/clock/advance', { hours });
+    
+    return response.data;
+  }
+  
   /**
    * Trigger chaos event (simulator only)
+   * target is an organism ID or an array of them; options: { intensity, duration, environmentId }
+   * where environmentId targets every member of an environment instead
    */
-  async triggerChaosEvent(organismId, eventType) {
+  async triggerChaosEvent(target, eventType, options = {}) {
+    const { environmentId, ...params } = options;
+    let targeting;
+    
+    if (environmentId) {
+      targeting = { environmentId };
+    } else if (Array.isArray(target)) {
+      targeting = { organismIds: target };
+    } else {
+      targeting = { organismId: target };
+    }
+    
     const response = await this.simulatorClient.post('/chaos/trigger', {
-      organismId,
-      event: eventType
+      ...targeting,
+      event: eventType,
+      ...params
     });
     
     return response.data;
   }
   
+  /**
+   * List chaos events still in effect (simulator only)
+   */
+  async getActiveChaos() {
+    const response = await this.simulatorClient.get('/chaos/active');
+    
+    return response.data.chaos;
+  }
+  
+  /**
+   * Cancel a chaos event and restore the environment it changed (simulator only)
+   */
+  async cancelChaos(chaosId) {
+    const response = await this.simulatorClient.post(`/chaos/${chaosId}/cancel`);
+    
+    return response.data;
+  }
+  
   /**
    * Batch operations
    */
@@ -467,7 +936,7 @@ class SporeSDK extends EventEmitter {
         
         results.push({ success: true, result });
       } catch (error) {
-        results.push({ success: false, error: error.message });
+        results.push({ success: false, error: error.message, code: error.code });
       }
     }
     
@@ -540,14 +1009,23 @@ class SporeSDK extends EventEmitter {
   }
   
   _createSimulatorClient() {
-    return axios.create({
+    const client = axios.create({
       baseURL: `${this.config.simulatorUrl}/api/v1`,
       headers: {
         'X-API-Key': this.config.apiKey,
+        ...(this.config.adminKey ? { 'X-Admin-Key': this.config.adminKey } : {}),
         'Content-Type': 'application/json'
       },
       timeout: 30000
     });
+    
+    // Every simulator call rejects with a SporeError subclass
+    client.interceptors.response.use(
+      response => response,
+      error => Promise.reject(toSporeError(error))
+    );
+    
+    return client;
   }
   
   _dataTypeToField(dataType) {
@@ -666,6 +1144,15 @@ function createMockOrganism(overrides = {}) {
 // Export everything
 export {
   SporeSDK,
+  SporeError,
+  ValidationError,
+  AuthenticationError,
+  PermissionError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
   GrowthStage,
   DataType,
   calculateGrowthRate,
@@ -5,49 +5,530 @@ const express = require('express');
 const cors = require('cors');
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
-const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const compression = require('compression');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'memory'; // memory | file
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const FLUSH_INTERVAL = parseInt(process.env.FLUSH_INTERVAL, 10) || 5000; // ms
+const MAX_HISTORY_SAMPLES = parseInt(process.env.MAX_HISTORY_SAMPLES, 10) || 50000; // per organism
+const EXPORT_TTL = parseInt(process.env.EXPORT_TTL, 10) || 60 * 60 * 1000; // ms
+const CLOCK_SPEED = parseFloat(process.env.CLOCK_SPEED) || 360; // Simulated seconds per real second
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_ADVANCE_HOURS = 8760; // One simulated year per request
+const MAX_CATCH_UP_HOURS = 720; // Longest gap simulated when an idle organism is touched
+const MAX_PREDICTION_RUNS = 200;
+const MAX_PREDICTION_HOURS = 20000; // Simulated hours per predict request, across all runs
+const MAX_OPTIMIZER_EVALUATIONS = 400;
+const EVENTS_CONFIG = process.env.EVENTS_CONFIG; // Optional JSON file of custom random events
+const RATE_LIMITS_CONFIG = process.env.RATE_LIMITS_CONFIG; // Optional JSON file of tier limits
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY; // Required for key management and clock control
+const OPENAPI_SPEC = process.env.OPENAPI_SPEC || path.join(__dirname, '..', 'README.md'); // OpenAPI document requests are validated against
 
 // Middleware
 app.use(helmet());
 app.use(cors());
 app.use(compression());
-app.use(express.json());
 
-// Rate limiting based on API tier
-const createRateLimiter = (windowMs, max) => rateLimit({
-  windowMs,
-  max,
-  keyGenerator: (req) => req.headers['x-api-key'] || req.ip,
-  handler: (req, res) => {
-    res.status(429).json({
-      error: 'Too many requests',
-      retryAfter: Math.ceil(windowMs / 1000)
+// Error catalogue. Every error, over HTTP or WebSocket, is sent as
+// { error: { code, message, details } }; the code fixes the HTTP status.
+const ERROR_CODES = {
+  INVALID_REQUEST: 400,
+  INVALID_STAGE_TRANSITION: 400,
+  INVALID_STATE: 400, // The resource is not in a state that allows the operation
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  INSUFFICIENT_SCOPE: 403,
+  NOT_FOUND: 404,
+  INVALID_ORGANISM_ID: 404,
+  ALREADY_EXISTS: 409,
+  EXPERIMENT_RUNNING: 409,
+  CHAOS_EVENT_ACTIVE: 409,
+  EXPORT_EXPIRED: 410,
+  PAYLOAD_TOO_LARGE: 413,
+  RATE_LIMIT_EXCEEDED: 429,
+  QUOTA_EXCEEDED: 429,
+  SERVER_ERROR: 500
+};
+
+const errorBody = (code, message, details) => ({
+  error: { code, message, ...(details !== undefined ? { details } : {}) }
+});
+
+const sendError = (res, code, message, details) =>
+  res.status(ERROR_CODES[code]).json(errorBody(code, message, details));
+
+// Streams get errors as { type: 'error', error: { code, message, details } }
+const sendSocketError = (ws, code, message, details) => {
+  ws.send(JSON.stringify({ type: 'error', ...errorBody(code, message, details) }));
+};
+
+// Sends the error, then closes the stream with a WebSocket close code
+const rejectSocket = (ws, closeCode, code, message, details) => {
+  sendSocketError(ws, code, message, details);
+  ws.close(closeCode, message);
+};
+
+// API tiers. Each key is limited per hour, has a daily quota and may send a
+// limited number of WebSocket messages per minute.
+const API_TIER_LIMITS = {
+  hobbyist: { requestsPerHour: 50000, requestsPerDay: 500000, wsMessagesPerMinute: 60 },
+  professional: { requestsPerHour: 500000, requestsPerDay: 5000000, wsMessagesPerMinute: 600 },
+  enterprise: { requestsPerHour: 5000000, requestsPerDay: 50000000, wsMessagesPerMinute: 6000 }
+};
+
+// Tier limits from RATE_LIMITS_CONFIG are merged over the defaults
+if (RATE_LIMITS_CONFIG) {
+  const { tiers = {} } = JSON.parse(fs.readFileSync(RATE_LIMITS_CONFIG, 'utf8'));
+  
+  Object.entries(tiers).forEach(([tier, limits]) => {
+    if (!API_TIER_LIMITS[tier]) {
+      throw new Error(`Unknown tier in ${RATE_LIMITS_CONFIG}: ${tier}`);
+    }
+    Object.entries(limits).forEach(([limit, value]) => {
+      if (!(limit in API_TIER_LIMITS[tier])) {
+        throw new Error(`Unknown limit in ${RATE_LIMITS_CONFIG}: ${tier}.${limit}`);
+      }
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`Invalid limit in ${RATE_LIMITS_CONFIG}: ${tier}.${limit} must be a positive integer`);
+      }
     });
+    API_TIER_LIMITS[tier] = { ...API_TIER_LIMITS[tier], ...limits };
+  });
+}
+
+// Seeded PRNG (mulberry32) so a simulation can be replayed exactly
+class SeededRandom {
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
   }
-});
 
-// API tiers
-const apiTiers = {
-  hobbyist: createRateLimiter(60 * 60 * 1000, 50000),
-  professional: createRateLimiter(60 * 60 * 1000, 500000),
-  enterprise: createRateLimiter(60 * 60 * 1000, Infinity)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+}
+
+// Simulator-wide virtual clock. Simulated time runs at `speed` times real time
+// while resumed, and can be paused or fast-forwarded.
+class SimulationClock {
+  constructor({ time = Date.now(), speed = CLOCK_SPEED, paused = false } = {}) {
+    this.baseTime = time; // Simulated time at the anchor
+    this.anchor = Date.now(); // Real time when baseTime was taken
+    this.speed = speed;
+    this.paused = paused;
+  }
+
+  now() {
+    if (this.paused) return this.baseTime;
+    return this.baseTime + (Date.now() - this.anchor) * this.speed;
+  }
+
+  rebase() {
+    this.baseTime = this.now();
+    this.anchor = Date.now();
+  }
+
+  pause() {
+    this.rebase();
+    this.paused = true;
+  }
+
+  resume() {
+    this.rebase();
+    this.paused = false;
+  }
+
+  setSpeed(speed) {
+    this.rebase();
+    this.speed = speed;
+  }
+
+  advance(ms) {
+    this.rebase();
+    this.baseTime += ms;
+  }
+
+  toJSON() {
+    const time = this.now();
+    return {
+      time: new Date(time).toISOString(),
+      timestamp: time,
+      speed: this.speed,
+      paused: this.paused
+    };
+  }
+}
+
+const generateSeed = () => Math.floor(Math.random() * 4294967296);
+
+const GROWTH_STAGES = ['SEED', 'GERMINATION', 'VEGETATIVE', 'FLOWERING', 'FRUITING', 'HARVEST', 'DECAY'];
+
+// Mirrors GrowthTracker._isValidTransition
+const isValidStageTransition = (from, to) => {
+  if (from === 'SEED' && to === 'GERMINATION') return true;
+  if (from === 'GERMINATION' && to === 'VEGETATIVE') return true;
+  if (from === 'VEGETATIVE' && (to === 'FLOWERING' || to === 'HARVEST')) return true;
+  if (from === 'FLOWERING' && (to === 'FRUITING' || to === 'HARVEST')) return true;
+  if (from === 'FRUITING' && to === 'HARVEST') return true;
+  if (to === 'DECAY') return true; // Can decay from any stage, DECAY included
+  
+  return false;
+};
+
+// Species growth profiles. Organisms stored with a species that no longer
+// has a profile fall back to the default one.
+const DEFAULT_SPECIES_PROFILE = {
+  name: 'default',
+  carryingCapacity: 10000, // mg
+  growthRate: 0.1, // Intrinsic growth rate per hour
+  optimalRanges: {
+    temperature: { min: 20, max: 25, optimal: 22.5 },
+    humidity: { min: 60, max: 70, optimal: 65 },
+    ph: { min: 6.0, max: 7.0, optimal: 6.5 }
+  },
+  // Levels at which a resource stops limiting growth (Liebig's law of the minimum)
+  resourceRequirements: {
+    lightIntensity: 5000, // lux
+    co2: 400, // ppm
+    nitrogen: 100, // mg/L
+    phosphorus: 50,
+    potassium: 75
+  },
+  co2Tolerance: 2000, // ppm above which CO2 becomes harmful
+  // Nutrients consumed (mg/L) per mg of biomass gained
+  nutrientUptake: {
+    nitrogen: 0.01,
+    phosphorus: 0.004,
+    potassium: 0.008
+  },
+  stageThresholds: {
+    GERMINATION: 200,
+    VEGETATIVE: 1000,
+    FLOWERING: 3000,
+    FRUITING: 5000,
+    HARVEST: 7000
+  },
+  harvestIndex: 0.5, // Share of biomass taken as yield
+  perennial: false // Perennials regrow after harvest instead of decaying
+};
+
+const BUILT_IN_SPECIES = {
+  Tomato: {
+    ...DEFAULT_SPECIES_PROFILE,
+    name: 'Tomato'
+  },
+  Basil: {
+    name: 'Basil',
+    carryingCapacity: 4000,
+    growthRate: 0.14,
+    optimalRanges: {
+      temperature: { min: 21, max: 29, optimal: 25 },
+      humidity: { min: 40, max: 60, optimal: 50 },
+      ph: { min: 6.0, max: 7.5, optimal: 6.5 }
+    },
+    resourceRequirements: {
+      lightIntensity: 4500,
+      co2: 400,
+      nitrogen: 80,
+      phosphorus: 40,
+      potassium: 60
+    },
+    co2Tolerance: 2000,
+    nutrientUptake: {
+      nitrogen: 0.015,
+      phosphorus: 0.005,
+      potassium: 0.01
+    },
+    stageThresholds: {
+      GERMINATION: 100,
+      VEGETATIVE: 400,
+      FLOWERING: 1800,
+      FRUITING: 2400,
+      HARVEST: 2800
+    },
+    harvestIndex: 0.7,
+    perennial: true // Cut-and-come-again
+  },
+  'Oyster Mushroom': {
+    name: 'Oyster Mushroom',
+    carryingCapacity: 8000,
+    growthRate: 0.12,
+    optimalRanges: {
+      temperature: { min: 15, max: 24, optimal: 20 },
+      humidity: { min: 80, max: 95, optimal: 88 },
+      ph: { min: 5.5, max: 7.0, optimal: 6.2 }
+    },
+    resourceRequirements: {
+      lightIntensity: 0, // Fungi don't photosynthesize
+      co2: 0,
+      nitrogen: 60,
+      phosphorus: 30,
+      potassium: 40
+    },
+    co2Tolerance: 1000, // Fruiting bodies deform in stale air
+    nutrientUptake: {
+      nitrogen: 0.006,
+      phosphorus: 0.003,
+      potassium: 0.004
+    },
+    stageThresholds: {
+      GERMINATION: 400, // Colonization
+      VEGETATIVE: 1200, // Mycelial growth
+      FLOWERING: 2500, // Pinning
+      FRUITING: 4000,
+      HARVEST: 6000
+    },
+    harvestIndex: 0.9,
+    perennial: true // Substrate fruits again in further flushes
+  }
+};
+
+const OPTIMAL_RANGE_FACTORS = Object.keys(DEFAULT_SPECIES_PROFILE.optimalRanges);
+const THRESHOLD_STAGES = Object.keys(DEFAULT_SPECIES_PROFILE.stageThresholds);
+const RESOURCE_FACTORS = Object.keys(DEFAULT_SPECIES_PROFILE.resourceRequirements);
+const NUTRIENTS = Object.keys(DEFAULT_SPECIES_PROFILE.nutrientUptake);
+
+// Decaying organisms lose this fraction of biomass and this much health per hour
+const DECAY_BIOMASS_LOSS = 0.05;
+const DECAY_HEALTH_LOSS = 2;
+
+// Pathogens. Severity (0-1) grows by progressionRate, scaled by humidity and
+// by how susceptible the organism is, and falls by recoveryRate scaled by its
+// diseaseResistance. Infected organisms lose damage * severity health per hour
+// and put transmissibility * severity infection pressure on their environment.
+const PATHOGENS = {
+  powdery_mildew: {
+    kind: 'disease',
+    progressionRate: 0.06,
+    recoveryRate: 0.02,
+    damage: 2,
+    transmissibility: 0.02,
+    humidityFactor: humidity => Math.max(0.25, humidity / 60) // Thrives in damp air
+  },
+  root_rot: {
+    kind: 'disease',
+    progressionRate: 0.05,
+    recoveryRate: 0.02,
+    damage: 3,
+    transmissibility: 0.005,
+    humidityFactor: humidity => Math.max(0.1, (humidity - 40) / 40) // Needs waterlogging
+  },
+  aphids: {
+    kind: 'pest',
+    progressionRate: 0.04,
+    recoveryRate: 0.02,
+    damage: 1.5,
+    transmissibility: 0.05,
+    humidityFactor: humidity => Math.max(0.5, (100 - humidity) / 40) // Prefers dry air
+  }
+};
+
+// Treatments cut the severity of the pathogens they target and protect against
+// them for a number of simulated hours
+const TREATMENTS = {
+  fungicide: { targets: ['powdery_mildew', 'root_rot'], efficacy: 0.7, protectionHours: 72 },
+  insecticide: { targets: ['aphids'], efficacy: 0.8, protectionHours: 48 }
+};
+
+const INITIAL_SEVERITY = 0.05; // Severity of an infection caught from a neighbour
+
+// Random events. Each can fire with `probability` per simulated hour and may
+// change health once, start an infection, and apply lasting effects for
+// `duration` hours (growthMultiplier, healthPerHour). `stages` limits the
+// growth stages in which an event can fire.
+const RANDOM_EVENTS = {
+  pest_attack: { probability: 0.0025, infection: { pathogen: 'aphids', severity: 0.2 } },
+  nutrient_boost: { probability: 0.0025, duration: 24, effects: { growthMultiplier: 1.2 } },
+  drought_stress: { probability: 0.0025, healthImpact: -5, duration: 12, effects: { growthMultiplier: 0.8 } },
+  beneficial_microbes: { probability: 0.0025, healthImpact: 5 }
+};
+
+const EVENT_EFFECTS = ['growthMultiplier', 'healthPerHour'];
+
+// Returns an error message for an invalid event definition, or null
+const validateEventDefinition = (name, definition) => {
+  if (!definition || typeof definition !== 'object') {
+    return `${name} must be an object`;
+  }
+  
+  const { probability, healthImpact, duration, effects, infection, stages } = definition;
+  
+  if (typeof probability !== 'number' || !(probability >= 0 && probability <= 1)) {
+    return `${name}.probability must be a number between 0 and 1`;
+  }
+  if (healthImpact !== undefined && typeof healthImpact !== 'number') {
+    return `${name}.healthImpact must be a number`;
+  }
+  if (duration !== undefined && !(typeof duration === 'number' && duration > 0)) {
+    return `${name}.duration must be a positive number of hours`;
+  }
+  if (effects !== undefined) {
+    if (!effects || typeof effects !== 'object') {
+      return `${name}.effects must be an object`;
+    }
+    const unknown = Object.keys(effects).find(effect => !EVENT_EFFECTS.includes(effect));
+    if (unknown) {
+      return `${name}.effects.${unknown} is not one of: ${EVENT_EFFECTS.join(', ')}`;
+    }
+    if (Object.values(effects).some(value => typeof value !== 'number')) {
+      return `${name}.effects values must be numbers`;
+    }
+    if (duration === undefined) {
+      return `${name}.effects need a duration`;
+    }
+  }
+  if (infection !== undefined && (!infection || !PATHOGENS[infection.pathogen] ||
+      !(infection.severity > 0 && infection.severity <= 1))) {
+    return `${name}.infection needs a pathogen (${Object.keys(PATHOGENS).join(', ')}) and a severity between 0 and 1`;
+  }
+  if (stages !== undefined && (!Array.isArray(stages) || stages.some(stage => !GROWTH_STAGES.includes(stage)))) {
+    return `${name}.stages must be an array of growth stages`;
+  }
+  
+  return null;
+};
+
+// Custom events are merged over the built-in ones, so a config can also tune
+// or disable (probability 0) a built-in event
+if (EVENTS_CONFIG) {
+  const { events = {} } = JSON.parse(fs.readFileSync(EVENTS_CONFIG, 'utf8'));
+  
+  Object.entries(events).forEach(([name, definition]) => {
+    const merged = { ...RANDOM_EVENTS[name], ...definition };
+    const error = validateEventDefinition(name, merged);
+    if (error) {
+      throw new Error(`Invalid event in ${EVENTS_CONFIG}: ${error}`);
+    }
+    RANDOM_EVENTS[name] = merged;
+  });
+}
+
+// Genetics. Breeding works on the BioNFT contract's 0-10000 trait scale, onto
+// which each trait's random genesis range maps as the contract's 3000-7000.
+const TRAIT_RANGES = {
+  growthSpeed: { min: 0.75, max: 1.25 }, // Growth rate multiplier
+  diseaseResistance: { min: 0.6, max: 1.0 },
+  yieldPotential: { min: 0.75, max: 1.25 }, // Yield multiplier
+  adaptability: { min: 0.7, max: 1.0 }
+};
+
+const RARITY_NAMES = ['Basic', 'Common', 'Uncommon', 'Rare', 'Epic', 'Legendary'];
+
+const toContractTrait = (trait, value) => {
+  const { min, max } = TRAIT_RANGES[trait];
+  return Math.round(3000 + (value - min) / (max - min) * 4000);
+};
+
+const fromContractTrait = (trait, value) => {
+  const { min, max } = TRAIT_RANGES[trait];
+  return min + (value - 3000) / 4000 * (max - min);
+};
+
+// Mirrors BioNFT._inheritTrait: the parents' average, with a 10% chance of a
+// mutation of up to +/-1000, clamped to 0-10000
+const inheritTrait = (trait1, trait2, random) => {
+  const average = Math.floor((trait1 + trait2) / 2);
+  
+  if (random() < 0.1) {
+    const mutation = Math.floor(random() * 2000) - 1000;
+    return Math.max(0, Math.min(10000, average + mutation));
+  }
+  
+  return average;
+};
+
+// Mirrors BioNFT._calculateRarity
+const calculateRarity = (geneticTraits) => {
+  const totalScore = Object.keys(TRAIT_RANGES)
+    .reduce((sum, trait) => sum + toContractTrait(trait, geneticTraits[trait]), 0);
+  
+  if (totalScore >= 35000) return 5; // Legendary
+  if (totalScore >= 30000) return 4; // Epic
+  if (totalScore >= 25000) return 3; // Rare
+  if (totalScore >= 20000) return 2; // Uncommon
+  if (totalScore >= 15000) return 1; // Common
+  return 0; // Basic
+};
+
+// Merges partial environmental factors into a full set. Nutrients merge per
+// nutrient, and the result never shares a nutrients object with its inputs.
+const mergeFactors = (current, factors) => {
+  const merged = { ...current, ...factors };
+  if (current.nutrients || factors.nutrients) {
+    merged.nutrients = { ...current.nutrients, ...factors.nutrients };
+  }
+  return merged;
+};
+
+// Event log entries. Each records what happened (type), where it came from
+// (source: rest, websocket, chaos or engine), who did it (actor, the ID of the
+// API key, or null for the simulator itself), the simulated time, and the
+// before and after values of every tracked field it changed.
+const auditSnapshot = (organism) => {
+  const { nutrients = {}, ...factors } = organism.environmentalFactors;
+  const snapshot = {
+    stage: organism.stage,
+    health: organism.health,
+    biomass: organism.biomass,
+    environmentId: organism.environmentId
+  };
+  
+  Object.entries(factors).forEach(([factor, value]) => {
+    snapshot[`environmentalFactors.${factor}`] = value;
+  });
+  Object.entries(nutrients).forEach(([nutrient, value]) => {
+    snapshot[`environmentalFactors.nutrients.${nutrient}`] = value;
+  });
+  organism.infections.forEach(({ pathogen, severity }) => {
+    snapshot[`infections.${pathogen}`] = severity;
+  });
+  
+  return snapshot;
+};
+
+const createLogEntry = ({ type, source, actor = null, details = {} }, before, after) => {
+  const changes = {};
+  
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    if (before[field] === after[field]) return;
+    changes[field] = {
+      before: before[field] !== undefined ? before[field] : null,
+      after: after[field] !== undefined ? after[field] : null
+    };
+  });
+  
+  return { id: uuidv4(), type, source, actor, timestamp: clock.now(), changes, details };
 };
 
 // Organism models
 class OrganismModel {
-  constructor(species, initialBiomass = 100) {
+  constructor(species, initialBiomass = 100, options = {}) {
     this.id = uuidv4();
+    this.seed = options.seed !== undefined ? options.seed >>> 0 : generateSeed();
+    this.rng = new SeededRandom(this.seed);
     this.species = species;
+    this.owner = options.owner || null;
+    this.experimentId = options.experimentId || null;
+    this.environmentId = options.environmentId || null;
     this.biomass = initialBiomass;
     this.stage = 'SEED';
     this.health = 100;
-    this.createdAt = Date.now();
-    this.lastUpdate = Date.now();
+    this.createdAt = clock.now();
+    this.lastUpdate = clock.now();
     this.environmentalFactors = {
       temperature: 22, // Celsius
       humidity: 65, // Percentage
@@ -61,45 +542,138 @@ class OrganismModel {
       }
     };
     this.geneticTraits = this.generateGeneticTraits();
+    this.infections = [];
+    this.protection = {}; // Pathogen -> remaining protected hours
+    this.harvestCount = 0;
+    this.generation = 0;
+    this.parentIds = [];
+    this.activeEvents = []; // Events whose effects are still lasting
+    this.pendingEvents = []; // Log entries queued until the next commit; never persisted
+  }
+
+  random() {
+    return this.rng.next();
+  }
+
+  // Runs a change and queues a log entry with the values it changed
+  audit(entry, change) {
+    const before = auditSnapshot(this);
+    const result = change();
+    this.pendingEvents.push(createLogEntry(entry, before, auditSnapshot(this)));
+    return result;
   }
 
   generateGeneticTraits() {
-    return {
-      growthSpeed: Math.random() * 0.5 + 0.75, // 0.75-1.25x multiplier
-      diseaseResistance: Math.random() * 0.4 + 0.6, // 0.6-1.0
-      yieldPotential: Math.random() * 0.5 + 0.75, // 0.75-1.25x
-      adaptability: Math.random() * 0.3 + 0.7 // 0.7-1.0
-    };
+    const traits = {};
+    Object.entries(TRAIT_RANGES).forEach(([trait, { min, max }]) => {
+      traits[trait] = this.random() * (max - min) + min;
+    });
+    return traits;
+  }
+
+  // Replaces this organism's genetics with a cross of two parents, drawing
+  // mutations from this organism's own random sequence
+  inheritFrom(parent1, parent2) {
+    const random = () => this.random();
+    
+    Object.keys(TRAIT_RANGES).forEach(trait => {
+      const inherited = inheritTrait(
+        toContractTrait(trait, parent1.geneticTraits[trait]),
+        toContractTrait(trait, parent2.geneticTraits[trait]),
+        random
+      );
+      this.geneticTraits[trait] = fromContractTrait(trait, inherited);
+    });
+    
+    this.generation = parent1.generation + 1; // As on-chain, the first parent decides
+    this.parentIds = [parent1.id, parent2.id];
+  }
+
+  getProfile() {
+    return getSpeciesProfile(this.species);
   }
 
   // Logistic growth model
   calculateGrowth(timeDelta) {
-    const K = 10000; // Carrying capacity
-    const r = 0.1 * this.geneticTraits.growthSpeed; // Growth rate
+    const profile = this.getProfile();
+    const K = profile.carryingCapacity;
+    const r = profile.growthRate * this.geneticTraits.growthSpeed;
     
     const environmentalMultiplier = this.calculateEnvironmentalMultiplier();
     const healthMultiplier = this.health / 100;
     
     const growth = r * this.biomass * (1 - this.biomass / K) * 
-                  environmentalMultiplier * healthMultiplier * timeDelta;
+                  environmentalMultiplier * healthMultiplier * this.eventEffect('growthMultiplier') * timeDelta;
     
+    const previousBiomass = this.biomass;
     this.biomass = Math.max(0, Math.min(K, this.biomass + growth));
+    this.consumeNutrients(this.biomass - previousBiomass, profile);
     this.updateStage();
   }
 
+  consumeNutrients(biomassGained, profile) {
+    if (biomassGained <= 0) return;
+    
+    const nutrients = this.environmentalFactors.nutrients;
+    if (!nutrients || typeof nutrients !== 'object') return;
+    
+    NUTRIENTS.forEach(nutrient => {
+      const level = nutrients[nutrient] || 0;
+      nutrients[nutrient] = Math.max(0, level - biomassGained * profile.nutrientUptake[nutrient]);
+    });
+  }
+
   calculateEnvironmentalMultiplier() {
+    return this.calculateEnvironmentalScores().multiplier;
+  }
+
+  // Per-factor breakdown: climate factors are averaged, while light, CO2 and
+  // nutrients act as resources where the scarcest one limits growth.
+  calculateEnvironmentalScores() {
     const factors = this.environmentalFactors;
+    const profile = this.getProfile();
+    const ranges = profile.optimalRanges;
+    const requirements = profile.resourceRequirements;
+    const nutrients = factors.nutrients && typeof factors.nutrients === 'object' ? factors.nutrients : {};
+    
+    const scores = {
+      temperature: this.calculateFactorScore(factors.temperature, ranges.temperature),
+      humidity: this.calculateFactorScore(factors.humidity, ranges.humidity),
+      ph: this.calculateFactorScore(factors.ph, ranges.ph),
+      lightIntensity: this.calculateResourceScore(factors.lightIntensity, requirements.lightIntensity),
+      co2: this.calculateResourceScore(factors.co2, requirements.co2) *
+           this.calculateToleranceScore(factors.co2, profile.co2Tolerance)
+    };
     
-    // Optimal ranges
-    const optimalTemp = { min: 20, max: 25, optimal: 22.5 };
-    const optimalHumidity = { min: 60, max: 70, optimal: 65 };
-    const optimalPH = { min: 6.0, max: 7.0, optimal: 6.5 };
+    NUTRIENTS.forEach(nutrient => {
+      scores[nutrient] = this.calculateResourceScore(nutrients[nutrient], requirements[nutrient]);
+    });
     
-    const tempScore = this.calculateFactorScore(factors.temperature, optimalTemp);
-    const humidityScore = this.calculateFactorScore(factors.humidity, optimalHumidity);
-    const phScore = this.calculateFactorScore(factors.ph, optimalPH);
+    const climate = (scores.temperature + scores.humidity + scores.ph) / 3;
+    const resources = Math.min(...RESOURCE_FACTORS.map(factor => scores[factor]));
+    const limitingFactor = Object.keys(scores).reduce((lowest, factor) =>
+      scores[factor] < scores[lowest] ? factor : lowest
+    );
     
-    return (tempScore + humidityScore + phScore) / 3 * this.geneticTraits.adaptability;
+    return {
+      ...scores,
+      climate,
+      resources,
+      limitingFactor,
+      multiplier: climate * resources * this.geneticTraits.adaptability
+    };
+  }
+
+  // 0 when the resource is absent, 1 once the requirement is met
+  calculateResourceScore(value, requirement) {
+    if (!(requirement > 0)) return 1;
+    return Math.max(0, Math.min(1, (value || 0) / requirement));
+  }
+
+  // Falls linearly from 1 at the tolerance to 0 at twice the tolerance
+  calculateToleranceScore(value, tolerance) {
+    if (!(value > tolerance)) return 1;
+    return Math.max(0, 1 - (value - tolerance) / tolerance);
   }
 
   calculateFactorScore(value, optimal) {
@@ -114,17 +688,26 @@ class OrganismModel {
     return 0.5; // Suboptimal but not lethal
   }
 
+  // Derives stage from biomass. Only moves forward along the growth chain, so
+  // manual transitions are never undone, and dead organisms start to decay.
   updateStage() {
+    if (this.stage === 'DECAY') return;
+    
+    if (this.health <= 0) {
+      this.stage = 'DECAY';
+      return;
+    }
+    
+    if (this.stage === 'HARVEST') return;
+    
+    const thresholds = this.getProfile().stageThresholds;
     const stages = [
       { name: 'SEED', minBiomass: 0 },
-      { name: 'GERMINATION', minBiomass: 200 },
-      { name: 'VEGETATIVE', minBiomass: 1000 },
-      { name: 'FLOWERING', minBiomass: 3000 },
-      { name: 'FRUITING', minBiomass: 5000 },
-      { name: 'HARVEST', minBiomass: 7000 }
+      ...THRESHOLD_STAGES.map(name => ({ name, minBiomass: thresholds[name] }))
     ];
 
-    for (let i = stages.length - 1; i >= 0; i--) {
+    const current = GROWTH_STAGES.indexOf(this.stage);
+    for (let i = stages.length - 1; i > current; i--) {
       if (this.biomass >= stages[i].minBiomass) {
         this.stage = stages[i].name;
         break;
@@ -132,12 +715,58 @@ class OrganismModel {
     }
   }
 
+  // Manual stage change, validated like the on-chain GrowthTracker
+  transitionTo(stage) {
+    if (!isValidStageTransition(this.stage, stage)) {
+      return false;
+    }
+    
+    this.stage = stage;
+    return true;
+  }
+
+  // Takes the harvestable share of biomass, scaled by health and yieldPotential.
+  // Annuals then decay; perennials are cut back to the VEGETATIVE stage to regrow,
+  // which is the one move back along the growth chain.
+  harvest() {
+    const profile = this.getProfile();
+    const harvestedBiomass = this.biomass * profile.harvestIndex;
+    const harvestYield = harvestedBiomass * (this.health / 100) * this.geneticTraits.yieldPotential;
+    
+    const record = {
+      biomass: Math.round(this.biomass * 100) / 100,
+      health: Math.round(this.health * 100) / 100,
+      yieldPotential: this.geneticTraits.yieldPotential,
+      yield: Math.round(harvestYield * 100) / 100
+    };
+    
+    this.harvestCount += 1;
+    this.biomass -= harvestedBiomass;
+    
+    if (profile.perennial) {
+      // Cut back to at most the VEGETATIVE threshold; harvesting never adds biomass
+      this.biomass = Math.min(this.biomass, profile.stageThresholds.VEGETATIVE);
+      this.stage = 'VEGETATIVE';
+    } else {
+      this.stage = 'DECAY';
+    }
+    
+    return { ...record, nextStage: this.stage };
+  }
+
+  calculateDecay(timeDelta) {
+    const loss = Math.min(1, DECAY_BIOMASS_LOSS * timeDelta);
+    this.biomass = Math.max(0, this.biomass * (1 - loss));
+    this.health = Math.max(0, this.health - DECAY_HEALTH_LOSS * timeDelta);
+  }
+
   updateEnvironment(factors) {
-    Object.assign(this.environmentalFactors, factors);
+    this.environmentalFactors = mergeFactors(this.environmentalFactors, factors);
     
     // Environmental stress affects health
     const stress = this.calculateEnvironmentalStress();
     this.health = Math.max(0, Math.min(100, this.health - stress));
+    this.updateStage();
   }
 
   calculateEnvironmentalStress() {
@@ -145,72 +774,320 @@ class OrganismModel {
     return (1 - multiplier) * 2; // 0-2 health loss per update
   }
 
+  // Starts an infection, or worsens an existing one to at least this severity
+  infect(pathogen, severity = INITIAL_SEVERITY) {
+    const existing = this.infections.find(infection => infection.pathogen === pathogen);
+    
+    if (existing) {
+      existing.severity = Math.max(existing.severity, severity);
+      return existing;
+    }
+    
+    const infection = { pathogen, severity: Math.min(1, severity), since: clock.now() };
+    this.infections.push(infection);
+    return infection;
+  }
+
+  // Bred organisms can exceed full resistance and become immune
+  susceptibility() {
+    return Math.max(0, 1 - this.geneticTraits.diseaseResistance);
+  }
+
+  // Exposure to infection pressure ({ pathogen: pressure }) from neighbours
+  expose(pressure, timeDelta) {
+    Object.entries(pressure).forEach(([pathogen, level]) => {
+      if (!(level > 0) || this.protection[pathogen] > 0) return;
+      if (this.infections.some(infection => infection.pathogen === pathogen)) return;
+      
+      const humidityFactor = PATHOGENS[pathogen].humidityFactor(this.environmentalFactors.humidity);
+      const chance = Math.min(1, level * this.susceptibility() * humidityFactor * timeDelta);
+      if (this.random() < chance) {
+        this.audit(
+          { type: 'infection', source: 'engine', details: { pathogen, spread: true } },
+          () => this.infect(pathogen)
+        );
+      }
+    });
+  }
+
+  // Pressure this organism puts on others sharing its environment
+  infectionPressure() {
+    const pressure = {};
+    this.infections.forEach(({ pathogen, severity }) => {
+      pressure[pathogen] = severity * PATHOGENS[pathogen].transmissibility;
+    });
+    return pressure;
+  }
+
+  progressInfections(timeDelta) {
+    const resistance = this.geneticTraits.diseaseResistance;
+    const humidity = this.environmentalFactors.humidity;
+    
+    this.infections.forEach(infection => {
+      const pathogen = PATHOGENS[infection.pathogen];
+      const progression = this.protection[infection.pathogen] > 0
+        ? 0
+        : pathogen.progressionRate * pathogen.humidityFactor(humidity) * this.susceptibility();
+      
+      this.health = Math.max(0, this.health - pathogen.damage * infection.severity * timeDelta);
+      infection.severity = Math.min(1, infection.severity +
+        (progression - pathogen.recoveryRate * resistance) * timeDelta);
+    });
+    
+    this.infections = this.infections.filter(infection => infection.severity > 0);
+    
+    Object.keys(this.protection).forEach(pathogen => {
+      this.protection[pathogen] -= timeDelta;
+      if (this.protection[pathogen] <= 0) delete this.protection[pathogen];
+    });
+  }
+
+  // Applies a treatment. Returns the pathogens it acted on.
+  treat(name) {
+    const treatment = TREATMENTS[name];
+    const treated = [];
+    
+    this.infections.forEach(infection => {
+      if (!treatment.targets.includes(infection.pathogen)) return;
+      infection.severity *= 1 - treatment.efficacy;
+      treated.push(infection.pathogen);
+    });
+    
+    this.infections = this.infections.filter(infection => infection.severity >= 0.01);
+    treatment.targets.forEach(pathogen => {
+      this.protection[pathogen] = treatment.protectionHours;
+    });
+    
+    return treated;
+  }
+
   simulate(timeDelta = 1) {
-    this.calculateGrowth(timeDelta);
-    this.lastUpdate = Date.now();
+    if (this.stage === 'DECAY') {
+      this.calculateDecay(timeDelta);
+    } else {
+      this.calculateGrowth(timeDelta);
+      this.progressInfections(timeDelta);
+      this.updateStage();
+    }
+    this.lastUpdate = Math.max(this.lastUpdate, clock.now()); // Experiment organisms run ahead of the clock
     
-    // Random events
-    if (Math.random() < 0.01) {
-      this.triggerRandomEvent();
+    if (this.stage !== 'DECAY') {
+      this.applyEventEffects(timeDelta);
+      this.rollEvents(timeDelta);
     }
+  }
+
+  // Combined lasting effect of active events: growth multipliers multiply,
+  // anything else adds up
+  eventEffect(effect) {
+    const neutral = effect === 'growthMultiplier' ? 1 : 0;
     
-    return this.getState();
+    return this.activeEvents.reduce((total, event) => {
+      const value = event.effects[effect];
+      if (value === undefined) return total;
+      return effect === 'growthMultiplier' ? total * value : total + value;
+    }, neutral);
   }
 
-  triggerRandomEvent() {
-    const events = [
-      { type: 'pest_attack', healthImpact: -10 },
-      { type: 'nutrient_boost', growthBoost: 1.2 },
-      { type: 'drought_stress', healthImpact: -5 },
-      { type: 'beneficial_microbes', healthImpact: 5 }
-    ];
+  applyEventEffects(timeDelta) {
+    const healthChange = this.eventEffect('healthPerHour') * timeDelta;
+    if (healthChange) {
+      this.health = Math.max(0, Math.min(100, this.health + healthChange));
+    }
+    
+    this.activeEvents.forEach(event => { event.remaining -= timeDelta; });
+    this.activeEvents = this.activeEvents.filter(event => event.remaining > 0);
+  }
+
+  // Rolls every event once, with its hourly probability scaled to timeDelta
+  rollEvents(timeDelta) {
+    Object.entries(RANDOM_EVENTS).forEach(([type, definition]) => {
+      if (!(definition.probability > 0)) return;
+      if (definition.stages && !definition.stages.includes(this.stage)) return;
+      
+      const chance = 1 - Math.pow(1 - definition.probability, timeDelta);
+      if (this.random() < chance) {
+        this.fireEvent(type);
+      }
+    });
+  }
+
+  fireEvent(type) {
+    const definition = RANDOM_EVENTS[type];
+    const before = auditSnapshot(this);
+    
+    if (definition.healthImpact) {
+      this.health = Math.max(0, Math.min(100, this.health + definition.healthImpact));
+    }
     
-    const event = events[Math.floor(Math.random() * events.length)];
+    if (definition.infection) {
+      this.infect(definition.infection.pathogen, definition.infection.severity);
+    }
     
-    if (event.healthImpact) {
-      this.health = Math.max(0, Math.min(100, this.health + event.healthImpact));
+    if (definition.duration) {
+      this.activeEvents.push({ type, remaining: definition.duration, effects: definition.effects || {} });
     }
     
+    this.updateStage();
+    
+    const event = createLogEntry({
+      type,
+      source: 'engine',
+      details: {
+        healthImpact: definition.healthImpact || 0,
+        duration: definition.duration || 0,
+        effects: definition.effects || {},
+        infection: definition.infection || null
+      }
+    }, before, auditSnapshot(this));
+    
+    this.pendingEvents.push(event);
     return event;
   }
 
   getState() {
+    const rarity = calculateRarity(this.geneticTraits);
+    
     return {
       id: this.id,
       species: this.species,
+      seed: this.seed,
+      experimentId: this.experimentId,
+      environmentId: this.environmentId,
       stage: this.stage,
       biomass: Math.round(this.biomass * 100) / 100,
       health: Math.round(this.health * 100) / 100,
       environmentalFactors: this.environmentalFactors,
+      environmentalScores: this.calculateEnvironmentalScores(),
       geneticTraits: this.geneticTraits,
-      age: Date.now() - this.createdAt,
+      generation: this.generation,
+      parentIds: this.parentIds,
+      rarity,
+      rarityName: RARITY_NAMES[rarity],
+      infections: this.infections.map(infection => ({
+        pathogen: infection.pathogen,
+        kind: PATHOGENS[infection.pathogen].kind,
+        severity: Math.round(infection.severity * 1000) / 1000,
+        since: infection.since
+      })),
+      protection: this.protection,
+      harvestCount: this.harvestCount,
+      activeEvents: this.activeEvents,
+      age: clock.now() - this.createdAt,
       lastUpdate: this.lastUpdate
     };
   }
 
-  predict(hours = 24) {
+  // Deep, isolated copy that shares no state with this organism
+  clone() {
+    return OrganismModel.deserialize(JSON.parse(JSON.stringify(this.serialize())));
+  }
+
+  // Projects growth on isolated copies. Run 0 continues this organism's own
+  // random sequence; further runs use derived seeds so results are repeatable.
+  // An optional schedule applies environment changes and chaos events at set
+  // hours ({ hour, environmentalFactors | event, repeatEvery }).
+  predict(hours = 24, options = {}) {
+    const { runs = 1, includeConfidenceIntervals = true, schedule = [] } = options;
+    const entries = expandSchedule(schedule, hours);
+    const trajectories = [];
+    const harvestHours = [];
+    
+    for (let run = 0; run < runs; run++) {
+      const tempOrganism = this.clone();
+      if (run > 0) {
+        tempOrganism.rng = new SeededRandom((this.rng.state + run * 0x9E3779B9) >>> 0);
+      }
+      
+      const trajectory = [];
+      let harvestHour = tempOrganism.stage === 'HARVEST' ? 0 : null;
+      let next = 0;
+      
+      for (let h = 1; h <= hours; h++) {
+        // Entries at hour N take effect before hour N + 1 is simulated
+        while (next < entries.length && entries[next].hour < h) {
+          const entry = entries[next++];
+          if (entry.environmentalFactors) tempOrganism.updateEnvironment(entry.environmentalFactors);
+          if (entry.event) applyChaosEvent(tempOrganism, entry.event, entry.intensity);
+        }
+        
+        tempOrganism.simulate(1);
+        trajectory.push({
+          biomass: tempOrganism.biomass,
+          stage: tempOrganism.stage,
+          health: tempOrganism.health
+        });
+        if (harvestHour === null && tempOrganism.stage === 'HARVEST') {
+          harvestHour = h;
+        }
+      }
+      
+      trajectories.push(trajectory);
+      harvestHours.push(harvestHour);
+    }
+    
     const predictions = [];
-    const tempOrganism = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
-    
-    for (let h = 1; h <= hours; h++) {
-      tempOrganism.simulate(1);
-      predictions.push({
-        hour: h,
-        biomass: tempOrganism.biomass,
-        stage: tempOrganism.stage,
-        health: tempOrganism.health
-      });
+    for (let h = 0; h < hours; h++) {
+      const points = trajectories.map(trajectory => trajectory[h]);
+      const biomass = percentiles(points.map(p => p.biomass));
+      const health = percentiles(points.map(p => p.health));
+      
+      const prediction = {
+        hour: h + 1,
+        biomass: biomass.p50,
+        stage: mostCommon(points.map(p => p.stage)),
+        health: health.p50
+      };
+      
+      if (runs > 1 && includeConfidenceIntervals) {
+        prediction.bands = { biomass, health };
+      }
+      
+      predictions.push(prediction);
     }
     
+    const reached = harvestHours.filter(h => h !== null);
+    
     return {
+      organismId: this.id,
       current: this.getState(),
+      runs,
       predictions,
-      estimatedHarvestTime: this.estimateHarvestTime()
+      estimatedHarvestTime: this.estimateHarvestTime(),
+      harvestTime: {
+        probability: reached.length / runs,
+        ...(reached.length ? percentiles(reached) : { p10: null, p50: null, p90: null }),
+        distribution: Object.entries(countBy(reached)).map(([hour, count]) => ({
+          hour: Number(hour),
+          count
+        }))
+      }
     };
   }
 
+  // Full internal state, including the PRNG position, for persistence
+  serialize() {
+    const { rng, pendingEvents, ...data } = this;
+    return { ...data, rngState: rng.state };
+  }
+
+  static deserialize(data) {
+    const { rngState, ...fields } = data;
+    const organism = Object.assign(Object.create(OrganismModel.prototype), fields);
+    organism.rng = new SeededRandom(organism.seed);
+    organism.rng.state = rngState >>> 0;
+    organism.infections = organism.infections || [];
+    organism.protection = organism.protection || {};
+    organism.harvestCount = organism.harvestCount || 0;
+    organism.generation = organism.generation || 0;
+    organism.parentIds = organism.parentIds || [];
+    organism.activeEvents = organism.activeEvents || [];
+    organism.pendingEvents = [];
+    return organism;
+  }
+
   estimateHarvestTime() {
-    const harvestBiomass = 7000;
+    const harvestBiomass = this.getProfile().stageThresholds.HARVEST;
     if (this.biomass >= harvestBiomass) return 0;
     
     const currentGrowthRate = this.calculateGrowthRate();
@@ -220,257 +1097,3168 @@ class OrganismModel {
   }
 
   calculateGrowthRate() {
-    const K = 10000;
-    const r = 0.1 * this.geneticTraits.growthSpeed;
+    const profile = this.getProfile();
+    const K = profile.carryingCapacity;
+    const r = profile.growthRate * this.geneticTraits.growthSpeed;
     const environmentalMultiplier = this.calculateEnvironmentalMultiplier();
     const healthMultiplier = this.health / 100;
     
     return r * this.biomass * (1 - this.biomass / K) * 
-           environmentalMultiplier * healthMultiplier;
+           environmentalMultiplier * healthMultiplier * this.eventEffect('growthMultiplier');
   }
 }
 
-// Organism storage (in production, use database)
-const organisms = new Map();
-
-// WebSocket connections for real-time streaming
-const wsConnections = new Map();
-
-// Middleware to validate API key
-const validateApiKey = (req, res, next) => {
+// Chaos events. `apply` takes an intensity between 0 and 1. Events that
+// change the environment `save` the factors they touch, so a chaos event with
+// a duration can put them back; the others (infections) are instant.
+const CHAOS_EVENTS = {
+  pest_outbreak: {
+    defaultIntensity: 0.5,
+    apply: (organism, intensity) => organism.infect('aphids', intensity)
+  },
+  fungal_outbreak: {
+    defaultIntensity: 0.5,
+    apply: (organism, intensity) => organism.infect('powdery_mildew', intensity)
+  },
+  nutrient_deficiency: {
+    defaultIntensity: 0.5,
+    save: organism => ({ nutrients: { nitrogen: organism.environmentalFactors.nutrients.nitrogen } }),
+    apply: (organism, intensity) => {
+      organism.environmentalFactors.nutrients.nitrogen *= 1 - intensity;
+    }
+  },
+  heat_wave: {
+    defaultIntensity: 0.5, // 35 C
+    save: organism => ({ temperature: organism.environmentalFactors.temperature }),
+    apply: (organism, intensity) => {
+      organism.environmentalFactors.temperature = Math.max(
+        organism.environmentalFactors.temperature,
+        25 + 20 * intensity
+      );
+    }
+  },
+  drought_stress: {
+    defaultIntensity: 0.5,
+    save: organism => ({ humidity: organism.environmentalFactors.humidity }),
+    apply: (organism, intensity) => {
+      organism.environmentalFactors.humidity *= 1 - intensity;
+    }
+  },
+  power_outage: {
+    defaultIntensity: 1, // Lights fully off
+    save: organism => ({ lightIntensity: organism.environmentalFactors.lightIntensity }),
+    apply: (organism, intensity) => {
+      organism.environmentalFactors.lightIntensity *= 1 - intensity;
+    }
+  }
+};
+
+const applyChaosEvent = (organism, event, intensity) => {
+  const chaos = CHAOS_EVENTS[event];
+  chaos.apply(organism, intensity !== undefined ? intensity : chaos.defaultIntensity);
+};
+
+// Expands repeating entries of a what-if schedule into one entry per occurrence
+const expandSchedule = (schedule, hours) => {
+  const entries = [];
+  
+  schedule.forEach(entry => {
+    for (let hour = entry.hour; hour < hours; hour += entry.repeatEvery || hours) {
+      entries.push({ ...entry, hour });
+    }
+  });
+  
+  return entries.sort((a, b) => a.hour - b.hour);
+};
+
+// Returns an error message for an invalid what-if schedule, or null
+const validateSchedule = (schedule, hours) => {
+  if (!Array.isArray(schedule) || schedule.length > 100) {
+    return 'Schedule must be an array of at most 100 entries';
+  }
+  
+  for (const [i, entry] of schedule.entries()) {
+    if (!entry || !Number.isInteger(entry.hour) || entry.hour < 0 || entry.hour >= hours) {
+      return `schedule[${i}].hour must be an integer between 0 and ${hours - 1}`;
+    }
+    if (entry.repeatEvery !== undefined && (!Number.isInteger(entry.repeatEvery) || entry.repeatEvery < 1)) {
+      return `schedule[${i}].repeatEvery must be a positive integer`;
+    }
+    if (!entry.environmentalFactors && !entry.event) {
+      return `schedule[${i}] needs environmentalFactors or an event`;
+    }
+    if (entry.environmentalFactors && typeof entry.environmentalFactors !== 'object') {
+      return `schedule[${i}].environmentalFactors must be an object`;
+    }
+    if (entry.event && !CHAOS_EVENTS[entry.event]) {
+      return `schedule[${i}].event must be one of: ${Object.keys(CHAOS_EVENTS).join(', ')}`;
+    }
+    if (entry.intensity !== undefined && !(typeof entry.intensity === 'number' && entry.intensity > 0 && entry.intensity <= 1)) {
+      return `schedule[${i}].intensity must be a number greater than 0 and at most 1`;
+    }
+  }
+  
+  return null;
+};
+
+// Storage backends
+// Stores expose a Map-like interface. Models are mutated in place, so callers
+// must set() an item again after changing it for file-backed stores to save it.
+class MemoryStore {
+  constructor() {
+    this.items = new Map();
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  get(id) {
+    return this.items.get(id);
+  }
+
+  has(id) {
+    return this.items.has(id);
+  }
+
+  set(id, item) {
+    this.items.set(id, item);
+    return this;
+  }
+
+  delete(id) {
+    return this.items.delete(id);
+  }
+
+  forEach(callback) {
+    this.items.forEach(callback);
+  }
+
+  values() {
+    return this.items.values();
+  }
+
+  load() {}
+
+  flush() {}
+
+  close() {}
+}
+
+// Persists a collection as a JSON file, written atomically on a timer when dirty
+class FileStore extends MemoryStore {
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath = filePath;
+    this.serialize = options.serialize || (item => item);
+    this.deserialize = options.deserialize || (data => data);
+    this.dirty = false;
+    this.timer = setInterval(() => this.flush(), options.flushInterval || FLUSH_INTERVAL);
+    this.timer.unref();
+  }
+
+  set(id, item) {
+    super.set(id, item);
+    this.dirty = true;
+    return this;
+  }
+
+  delete(id) {
+    const deleted = super.delete(id);
+    if (deleted) this.dirty = true;
+    return deleted;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+    
+    const records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    records.forEach(([id, data]) => {
+      this.items.set(id, this.deserialize(data));
+    });
+  }
+
+  flush() {
+    if (!this.dirty) return;
+    
+    const records = Array.from(this.items, ([id, item]) => [id, this.serialize(item)]);
+    const tmpPath = `${this.filePath}.tmp`;
+    
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(records));
+    fs.renameSync(tmpPath, this.filePath);
+    this.dirty = false;
+  }
+
+  close() {
+    clearInterval(this.timer);
+    this.flush();
+  }
+}
+
+// Append-only series per key, such as history samples and event logs. Series
+// longer than `limit` drop their oldest entries.
+class MemorySeriesStore {
+  constructor(options = {}) {
+    this.series = new Map();
+    this.limit = options.limit || Infinity;
+  }
+
+  get(id) {
+    return this.series.get(id);
+  }
+
+  append(id, entries) {
+    const series = this.series.get(id) || [];
+    series.push(...entries);
+    if (series.length > this.limit) {
+      series.splice(0, series.length - this.limit);
+    }
+    this.series.set(id, series);
+  }
+
+  delete(id) {
+    return this.series.delete(id);
+  }
+
+  load() {}
+
+  flush() {}
+
+  close() {}
+}
+
+const toNdjson = entries => entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+
+// Keeps one NDJSON file per key. Each flush appends only the entries added
+// since the last one; a file is rewritten with just the retained entries once
+// it holds twice the limit, so the cost of trimming stays proportional to the
+// appends.
+class FileSeriesStore extends MemorySeriesStore {
+  constructor(dirPath, options = {}) {
+    super(options);
+    this.dirPath = dirPath;
+    this.pending = new Map(); // Entries not yet written, per key
+    this.written = new Map(); // Entries in each file
+    this.deleted = new Set();
+    this.timer = setInterval(() => this.flush(), options.flushInterval || FLUSH_INTERVAL);
+    this.timer.unref();
+  }
+
+  filePath(id) {
+    return path.join(this.dirPath, `${encodeURIComponent(id)}.ndjson`);
+  }
+
+  append(id, entries) {
+    super.append(id, entries);
+    const pending = this.pending.get(id) || [];
+    pending.push(...entries);
+    this.pending.set(id, pending);
+  }
+
+  delete(id) {
+    this.pending.delete(id);
+    this.written.delete(id);
+    this.deleted.add(id);
+    return super.delete(id);
+  }
+
+  load() {
+    if (!fs.existsSync(this.dirPath)) return;
+    
+    fs.readdirSync(this.dirPath).filter(file => file.endsWith('.ndjson')).forEach(file => {
+      const id = decodeURIComponent(path.basename(file, '.ndjson'));
+      const entries = [];
+      
+      fs.readFileSync(path.join(this.dirPath, file), 'utf8').split('\n').forEach(line => {
+        if (!line) return;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          // A line torn by a crash mid-append is dropped
+        }
+      });
+      
+      super.append(id, entries);
+      this.written.set(id, entries.length);
+    });
+  }
+
+  flush() {
+    this.deleted.forEach(id => fs.rmSync(this.filePath(id), { force: true }));
+    this.deleted.clear();
+    
+    if (this.pending.size === 0) return;
+    fs.mkdirSync(this.dirPath, { recursive: true });
+    
+    this.pending.forEach((entries, id) => {
+      const written = (this.written.get(id) || 0) + entries.length;
+      
+      if (written > this.limit * 2) {
+        const series = this.series.get(id);
+        const tmpPath = `${this.filePath(id)}.tmp`;
+        fs.writeFileSync(tmpPath, toNdjson(series));
+        fs.renameSync(tmpPath, this.filePath(id));
+        this.written.set(id, series.length);
+      } else {
+        fs.appendFileSync(this.filePath(id), toNdjson(entries));
+        this.written.set(id, written);
+      }
+    });
+    this.pending.clear();
+  }
+
+  close() {
+    clearInterval(this.timer);
+    this.flush();
+  }
+}
+
+const stores = [];
+
+const createStore = (name, options = {}) => {
+  const store = STORAGE_BACKEND === 'file'
+    ? new FileStore(path.join(DATA_DIR, `${name}.json`), options)
+    : new MemoryStore();
+  
+  store.load();
+  stores.push(store);
+  return store;
+};
+
+const createSeriesStore = (name, options = {}) => {
+  const store = STORAGE_BACKEND === 'file'
+    ? new FileSeriesStore(path.join(DATA_DIR, name), options)
+    : new MemorySeriesStore(options);
+  
+  store.load();
+  stores.push(store);
+  return store;
+};
+
+// Organism storage
+const organisms = createStore('organisms', {
+  serialize: organism => organism.serialize(),
+  deserialize: data => OrganismModel.deserialize(data)
+});
+
+// Simulation clock, persisted so simulated time survives restarts
+const clockState = createStore('clock');
+const clock = new SimulationClock(clockState.get('state'));
+
+const saveClock = () => {
+  clockState.set('state', { time: clock.now(), speed: clock.speed, paused: clock.paused });
+};
+
+// User-defined species profiles
+const customSpecies = createStore('species');
+
+// Own properties only, so names such as "constructor" are not profiles
+const findSpeciesProfile = (name) =>
+  customSpecies.get(name) ||
+  (Object.prototype.hasOwnProperty.call(BUILT_IN_SPECIES, name) ? BUILT_IN_SPECIES[name] : undefined);
+
+const getSpeciesProfile = (name) => findSpeciesProfile(name) || DEFAULT_SPECIES_PROFILE;
+
+// Builds a complete profile from a request body, filling gaps from the default.
+// Returns { error } when the profile is inconsistent.
+const buildSpeciesProfile = (body) => {
+  const {
+    name,
+    carryingCapacity,
+    growthRate,
+    optimalRanges = {},
+    resourceRequirements = {},
+    co2Tolerance,
+    nutrientUptake = {},
+    stageThresholds = {},
+    harvestIndex,
+    perennial
+  } = body;
+  
+  if (!name || typeof name !== 'string') {
+    return { error: 'Species name required' };
+  }
+  
+  const profile = {
+    name,
+    carryingCapacity: carryingCapacity !== undefined ? carryingCapacity : DEFAULT_SPECIES_PROFILE.carryingCapacity,
+    growthRate: growthRate !== undefined ? growthRate : DEFAULT_SPECIES_PROFILE.growthRate,
+    optimalRanges: {},
+    resourceRequirements: { ...DEFAULT_SPECIES_PROFILE.resourceRequirements, ...resourceRequirements },
+    co2Tolerance: co2Tolerance !== undefined ? co2Tolerance : DEFAULT_SPECIES_PROFILE.co2Tolerance,
+    nutrientUptake: { ...DEFAULT_SPECIES_PROFILE.nutrientUptake, ...nutrientUptake },
+    stageThresholds: { ...DEFAULT_SPECIES_PROFILE.stageThresholds, ...stageThresholds },
+    harvestIndex: harvestIndex !== undefined ? harvestIndex : DEFAULT_SPECIES_PROFILE.harvestIndex,
+    perennial: perennial !== undefined ? perennial : DEFAULT_SPECIES_PROFILE.perennial
+  };
+  
+  if (!(profile.carryingCapacity > 0)) {
+    return { error: 'carryingCapacity must be a positive number' };
+  }
+  
+  if (!(profile.growthRate > 0 && profile.growthRate <= 1)) {
+    return { error: 'growthRate must be greater than 0 and at most 1' };
+  }
+  
+  for (const factor of OPTIMAL_RANGE_FACTORS) {
+    const range = { ...DEFAULT_SPECIES_PROFILE.optimalRanges[factor], ...optimalRanges[factor] };
+    // min < max keeps the distance scale in calculateFactorScore non-zero
+    if (!(range.min <= range.optimal && range.optimal <= range.max && range.min < range.max)) {
+      return { error: `optimalRanges.${factor} must satisfy min <= optimal <= max with min < max` };
+    }
+    profile.optimalRanges[factor] = range;
+  }
+  
+  for (const factor of RESOURCE_FACTORS) {
+    if (!(profile.resourceRequirements[factor] >= 0)) {
+      return { error: `resourceRequirements.${factor} must be a non-negative number` };
+    }
+  }
+  
+  for (const nutrient of NUTRIENTS) {
+    if (!(profile.nutrientUptake[nutrient] >= 0)) {
+      return { error: `nutrientUptake.${nutrient} must be a non-negative number` };
+    }
+  }
+  
+  if (!(profile.co2Tolerance > profile.resourceRequirements.co2)) {
+    return { error: 'co2Tolerance must be above the CO2 requirement' };
+  }
+  
+  const thresholds = THRESHOLD_STAGES.map(stage => profile.stageThresholds[stage]);
+  if (thresholds.some((value, i) => !(value > (i === 0 ? 0 : thresholds[i - 1])))) {
+    return { error: `stageThresholds must be positive and increasing (${THRESHOLD_STAGES.join(' < ')})` };
+  }
+  
+  if (profile.stageThresholds.HARVEST >= profile.carryingCapacity) {
+    return { error: 'HARVEST threshold must be below carryingCapacity' };
+  }
+  
+  if (!(profile.harvestIndex > 0 && profile.harvestIndex <= 1)) {
+    return { error: 'harvestIndex must be greater than 0 and at most 1' };
+  }
+  
+  if (typeof profile.perennial !== 'boolean') {
+    return { error: 'perennial must be a boolean' };
+  }
+  
+  return { profile };
+};
+
+// Environment presets
+const environments = createStore('environments');
+
+// Time-series history
+const history = createSeriesStore('history', { limit: MAX_HISTORY_SAMPLES });
+
+const HISTORY_METRICS = ['biomass', 'health', 'temperature', 'humidity', 'ph', 'lightIntensity', 'co2'];
+
+const RESOLUTIONS = {
+  raw: 0,
+  minute: 60 * 1000,
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const AGGREGATIONS = {
+  min: values => Math.min(...values),
+  max: values => Math.max(...values),
+  avg: values => values.reduce((sum, v) => sum + v, 0) / values.length
+};
+
+const recordSample = (organism, source, timestamp = clock.now()) => {
+  const factors = organism.environmentalFactors;
+  
+  history.append(organism.id, [{
+    timestamp,
+    source,
+    stage: organism.stage,
+    biomass: organism.biomass,
+    health: organism.health,
+    temperature: factors.temperature,
+    humidity: factors.humidity,
+    ph: factors.ph,
+    lightIntensity: factors.lightIntensity,
+    co2: factors.co2
+  }]);
+};
+
+// Append-only log of everything that happened to each organism. It is kept
+// after the organism is deleted so changes can still be explained, along with
+// the tenant it belonged to.
+const eventLog = createSeriesStore('events');
+const eventLogOwners = createStore('eventOwners');
+
+const recordEvents = (organism, events) => {
+  if (events.length === 0) return;
+  
+  if (!eventLogOwners.has(organism.id)) {
+    eventLogOwners.set(organism.id, { owner: organism.owner });
+  }
+  eventLog.append(organism.id, events);
+  
+  const ws = wsConnections.get(organism.id);
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    events.forEach(event => ws.send(JSON.stringify({ type: 'event', data: event })));
+  }
+};
+
+// Persist an organism after a mutation, append a history sample, and log and
+// broadcast any events it fired
+const commitOrganism = (organism, source) => {
+  const fired = organism.pendingEvents.splice(0);
+  organisms.set(organism.id, organism);
+  recordSample(organism, source);
+  recordEvents(organism, fired);
+};
+
+// Simulates an organism in steps of at most one hour for numerical stability
+const advanceOrganism = (organism, hours) => {
+  let remaining = hours;
+  while (remaining > 0) {
+    const step = Math.min(1, remaining);
+    organism.simulate(step);
+    remaining -= step;
+  }
+};
+
+// Total infection pressure per environment, keyed by environment ID
+const environmentPressure = (cohort) => {
+  const pressureByEnvironment = new Map();
+  
+  cohort.forEach(organism => {
+    if (!organism.environmentId || organism.stage === 'DECAY') return;
+    
+    const pressure = pressureByEnvironment.get(organism.environmentId) || {};
+    Object.entries(organism.infectionPressure()).forEach(([pathogen, level]) => {
+      pressure[pathogen] = (pressure[pathogen] || 0) + level;
+    });
+    pressureByEnvironment.set(organism.environmentId, pressure);
+  });
+  
+  return pressureByEnvironment;
+};
+
+// Lets infections spread between organisms sharing an environment. Pressure is
+// gathered from the whole cohort before anyone is exposed, so the order of
+// organisms does not matter.
+const spreadInfections = (cohort, timeDelta) => {
+  const pressureByEnvironment = environmentPressure(cohort);
+  
+  cohort.forEach(organism => {
+    const pressure = pressureByEnvironment.get(organism.environmentId);
+    if (pressure && organism.stage !== 'DECAY') organism.expose(pressure, timeDelta);
+  });
+};
+
+// Exposes a single organism to the other members of its environment
+const exposeToNeighbours = (organism, timeDelta) => {
+  if (!organism.environmentId || organism.stage === 'DECAY') return;
+  
+  const neighbours = [];
+  organisms.forEach(other => {
+    if (other.environmentId === organism.environmentId && other.id !== organism.id) neighbours.push(other);
+  });
+  
+  const pressure = environmentPressure(neighbours).get(organism.environmentId);
+  if (pressure) organism.expose(pressure, timeDelta);
+};
+
+// Each organism's lastUpdate is its position on the clock. Organisms are
+// simulated from there up to the clock when they are advanced, streamed or
+// read, so no stretch of simulated time is run twice. Longer gaps than
+// MAX_CATCH_UP_HOURS are skipped beyond that point. Returns the hours simulated.
+const catchUp = (organism) => {
+  const now = clock.now();
+  const hours = Math.min((now - organism.lastUpdate) / HOUR_MS, MAX_CATCH_UP_HOURS);
+  if (!(hours > 0)) return 0;
+  
+  advanceOrganism(organism, hours);
+  organism.lastUpdate = now;
+  return hours;
+};
+
+// Accepts Unix milliseconds or an ISO 8601 date string
+const parseTimestamp = (value) => {
+  if (value === undefined) return undefined;
+  const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(timestamp) ? NaN : timestamp;
+};
+
+// "avg" applies to every metric, "biomass:max,health:min" sets them per metric
+const parseAggregation = (value = 'avg', metrics) => {
+  const result = {};
+  let fallback = 'avg';
+  
+  for (const part of String(value).split(',')) {
+    const [metric, fn] = part.includes(':') ? part.split(':') : [null, part];
+    if (!AGGREGATIONS[fn]) return null;
+    if (metric) {
+      result[metric] = fn;
+    } else {
+      fallback = fn;
+    }
+  }
+  
+  metrics.forEach(metric => {
+    if (!result[metric]) result[metric] = fallback;
+  });
+  
+  return result;
+};
+
+const downsample = (samples, interval, metrics, aggregation) => {
+  if (!interval) {
+    return samples.map(sample => {
+      const point = { timestamp: sample.timestamp, stage: sample.stage, source: sample.source };
+      metrics.forEach(metric => { point[metric] = sample[metric]; });
+      return point;
+    });
+  }
+  
+  const buckets = new Map();
+  samples.forEach(sample => {
+    const bucket = Math.floor(sample.timestamp / interval) * interval;
+    if (!buckets.has(bucket)) buckets.set(bucket, []);
+    buckets.get(bucket).push(sample);
+  });
+  
+  return Array.from(buckets, ([timestamp, bucketSamples]) => {
+    const point = {
+      timestamp,
+      stage: bucketSamples[bucketSamples.length - 1].stage,
+      samples: bucketSamples.length
+    };
+    
+    metrics.forEach(metric => {
+      const values = bucketSamples.map(sample => sample[metric]).filter(v => typeof v === 'number');
+      point[metric] = values.length ? AGGREGATIONS[aggregation[metric]](values) : null;
+    });
+    
+    return point;
+  });
+};
+
+// Data exports (generated files are kept in memory until they expire)
+const exportFiles = new Map();
+
+const EXPORT_COLUMNS = ['timestamp', 'source', 'stage', ...HISTORY_METRICS];
+
+const exportMetadata = (organism) => ({
+  organismId: organism.id,
+  species: organism.species,
+  seed: organism.seed,
+  createdAt: new Date(organism.createdAt).toISOString(),
+  geneticTraits: organism.geneticTraits,
+  environmentalFactors: organism.environmentalFactors
+});
+
+const csvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const flattenObject = (object, prefix = '') => Object.entries(object).reduce((flat, [key, value]) => {
+  const name = prefix ? `${prefix}.${key}` : key;
+  return value && typeof value === 'object'
+    ? { ...flat, ...flattenObject(value, name) }
+    : { ...flat, [name]: value };
+}, {});
+
+const exportWriters = {
+  csv: {
+    contentType: 'text/csv',
+    write: (samples, metadata) => {
+      const lines = [];
+      if (metadata) {
+        Object.entries(flattenObject(metadata)).forEach(([key, value]) => {
+          lines.push(`# ${key}: ${value}`);
+        });
+      }
+      lines.push(EXPORT_COLUMNS.join(','));
+      samples.forEach(sample => {
+        lines.push(EXPORT_COLUMNS.map(column => csvValue(sample[column])).join(','));
+      });
+      return lines.join('\n') + '\n';
+    }
+  },
+  json: {
+    contentType: 'application/json',
+    write: (samples, metadata) => JSON.stringify({
+      ...(metadata && { metadata }),
+      dataPoints: samples
+    }, null, 2)
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson',
+    write: (samples, metadata) => {
+      const records = samples.map(sample => ({ type: 'sample', ...sample }));
+      if (metadata) records.unshift({ type: 'metadata', ...metadata });
+      return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+    }
+  }
+};
+
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson', 'excel', 'parquet'];
+
+const sweepExpiredExports = setInterval(() => {
+  const now = Date.now();
+  exportFiles.forEach((file, id) => {
+    if (file.expiresAt <= now) exportFiles.delete(id);
+  });
+}, 60 * 1000);
+sweepExpiredExports.unref();
+
+// Harvest records per organism. They outlive the organism so that
+// environment yield reports stay complete after deletions.
+const harvests = createStore('harvests');
+
+const recordHarvest = (organism, result) => {
+  const records = harvests.get(organism.id) || [];
+  const record = {
+    id: uuidv4(),
+    organismId: organism.id,
+    species: organism.species,
+    environmentId: organism.environmentId,
+    owner: organism.owner,
+    harvestNumber: organism.harvestCount,
+    harvestedAt: clock.now(),
+    ...result
+  };
+  
+  records.push(record);
+  harvests.set(organism.id, records);
+  return record;
+};
+
+const summarizeYield = (records) => {
+  const yields = records.map(record => record.yield);
+  const totalYield = yields.reduce((sum, value) => sum + value, 0);
+  
+  return {
+    harvestCount: records.length,
+    totalYield: Math.round(totalYield * 100) / 100,
+    averageYield: records.length ? Math.round(totalYield / records.length * 100) / 100 : 0,
+    minYield: records.length ? Math.min(...yields) : null,
+    maxYield: records.length ? Math.max(...yields) : null
+  };
+};
+
+// Strips the owner before returning a harvest record
+const harvestView = ({ owner, ...record }) => record;
+
+// Chaos sessions. A session applies a chaos event to a cohort of organisms
+// and, when it has a duration, restores the factors it changed once the
+// simulated time is up. Sessions without a duration last until cancelled.
+const chaosSessions = createStore('chaos');
+
+const chaosView = ({ owner, saved, ...session }) => session;
+
+const chaosLogEntry = (session, phase, actor) => ({
+  type: session.event,
+  source: 'chaos',
+  actor,
+  details: {
+    phase, // started | ended | cancelled
+    chaosId: session.id,
+    intensity: session.intensity,
+    duration: session.duration
+  }
+});
+
+const startChaos = (event, intensity, duration, cohort, target, owner, actor) => {
+  const chaos = CHAOS_EVENTS[event];
+  const instant = !chaos.save;
+  const now = clock.now();
+  
+  const session = {
+    id: uuidv4(),
+    event,
+    intensity,
+    duration: instant ? null : duration,
+    target,
+    organismIds: cohort.map(organism => organism.id),
+    owner,
+    status: instant ? 'ended' : 'active',
+    startedAt: now,
+    endsAt: instant ? now : duration !== null ? now + duration * HOUR_MS : null,
+    endedAt: instant ? now : null,
+    saved: {}
+  };
+  
+  cohort.forEach(organism => {
+    if (!instant) session.saved[organism.id] = chaos.save(organism);
+    organism.audit(chaosLogEntry(session, 'started', actor), () => chaos.apply(organism, intensity));
+    commitOrganism(organism, 'chaos');
+  });
+  
+  chaosSessions.set(session.id, session);
+  return session;
+};
+
+// Puts back the factors the session changed, keeping later changes to others.
+// The actor is null when the session simply ran out.
+const endChaos = (session, status, actor = null) => {
+  session.organismIds.forEach(id => {
+    const organism = organisms.get(id);
+    if (!organism) return; // Deleted meanwhile
+    
+    organism.audit(
+      chaosLogEntry(session, status, actor),
+      () => organism.updateEnvironment(session.saved[id])
+    );
+    commitOrganism(organism, 'chaos');
+  });
+  
+  session.status = status;
+  session.endedAt = clock.now();
+  chaosSessions.set(session.id, session);
+};
+
+const endExpiredChaos = () => {
+  const now = clock.now();
+  chaosSessions.forEach(session => {
+    if (session.status === 'active' && session.endsAt !== null && session.endsAt <= now) {
+      endChaos(session, 'ended');
+    }
+  });
+};
+
+const chaosExpiryTimer = setInterval(endExpiredChaos, 1000);
+chaosExpiryTimer.unref();
+
+// Experiments
+const experiments = createStore('experiments');
+
+// An experiment cannot survive a restart mid-run
+experiments.forEach(experiment => {
+  if (experiment.status === 'running') {
+    experiment.status = 'failed';
+    experiment.error = 'Interrupted by server restart';
+    experiments.set(experiment.id, experiment);
+  }
+});
+
+// Linear interpolation between closest ranks
+const percentile = (sorted, p) => {
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const percentiles = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    p10: percentile(sorted, 0.1),
+    p50: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9)
+  };
+};
+
+const countBy = (values) => values.reduce((counts, value) => {
+  counts[value] = (counts[value] || 0) + 1;
+  return counts;
+}, {});
+
+const mostCommon = (values) => {
+  const counts = countBy(values);
+  return Object.keys(counts).reduce((best, value) => (counts[value] > counts[best] ? value : best));
+};
+
+const SIMULATED_HOUR_COST_MS = 0.05; // Rough wall-clock cost used for completion estimates
+
+// Two-tailed 95% t critical values for 1-30 degrees of freedom
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+const describe = (values) => {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  
+  if (n < 2) {
+    return { n, mean, stdDev: 0, confidenceInterval: null };
+  }
+  
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1);
+  const stdDev = Math.sqrt(variance);
+  const t = T_CRITICAL_95[n - 2] || 1.96;
+  const margin = t * stdDev / Math.sqrt(n);
+  
+  return {
+    n,
+    mean,
+    stdDev,
+    confidenceInterval: { level: 0.95, lower: mean - margin, upper: mean + margin }
+  };
+};
+
+const runExperiment = async (experiment, actor = null) => {
+  experiment.status = 'running';
+  experiment.startedAt = new Date().toISOString();
+  experiment.completedAt = null;
+  experiment.error = null;
+  experiment.results = [];
+  experiments.set(experiment.id, experiment);
+  
+  try {
+    let index = 0;
+    for (const condition of experiment.conditions) {
+      for (let replication = 1; replication <= experiment.replications; replication++) {
+        const seed = experiment.seed !== undefined ? (experiment.seed + index) >>> 0 : undefined;
+        const organism = new OrganismModel(experiment.species, experiment.initialBiomass, {
+          seed,
+          owner: experiment.owner,
+          experimentId: experiment.id
+        });
+        
+        organism.updateEnvironment(condition.environmentalFactors);
+        organism.pendingEvents.push(createLogEntry(
+          {
+            type: 'created',
+            source: 'rest',
+            actor,
+            details: {
+              species: experiment.species,
+              seed: organism.seed,
+              experimentId: experiment.id,
+              condition: condition.name,
+              replication
+            }
+          },
+          {},
+          auditSnapshot(organism)
+        ));
+        commitOrganism(organism, 'experiment');
+        
+        // Samples are stamped hour by hour from the start of the replicate, and
+        // the organism's clock position is the end of its run
+        const start = organism.createdAt;
+        for (let hour = 1; hour <= experiment.duration; hour++) {
+          organism.simulate(1);
+          recordSample(organism, 'simulate', start + hour * HOUR_MS);
+        }
+        organism.lastUpdate = start + experiment.duration * HOUR_MS;
+        organisms.set(organism.id, organism);
+        recordEvents(organism, organism.pendingEvents.splice(0));
+        
+        experiment.results.push({
+          condition: condition.name,
+          replication,
+          organismId: organism.id,
+          seed: organism.seed,
+          finalBiomass: organism.biomass,
+          finalHealth: organism.health,
+          finalStage: organism.stage,
+          reachedHarvest: organism.stage === 'HARVEST'
+        });
+        experiments.set(experiment.id, experiment);
+        index++;
+        
+        // Yield between replicates so the run doesn't block other requests
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+    
+    experiment.status = 'completed';
+  } catch (error) {
+    experiment.status = 'failed';
+    experiment.error = error.message;
+  }
+  
+  experiment.completedAt = new Date().toISOString();
+  experiments.set(experiment.id, experiment);
+};
+
+const summarizeExperiment = (experiment) => {
+  const results = experiment.results || [];
+  
+  const conditions = experiment.conditions.map(condition => {
+    const condResults = results.filter(r => r.condition === condition.name);
+    if (condResults.length === 0) {
+      return { name: condition.name, organisms: 0 };
+    }
+    
+    const biomass = describe(condResults.map(r => r.finalBiomass));
+    const health = describe(condResults.map(r => r.finalHealth));
+    
+    return {
+      name: condition.name,
+      organisms: condResults.length,
+      avgBiomass: biomass.mean,
+      avgHealth: health.mean,
+      successRate: condResults.filter(r => r.reachedHarvest).length / condResults.length * 100,
+      biomass,
+      health
+    };
+  });
+  
+  const bestCondition = conditions
+    .filter(cond => cond.organisms > 0)
+    .reduce((best, cond) => (!best || cond.avgBiomass > best.avgBiomass ? cond : best), null);
+  
+  return {
+    experimentId: experiment.id,
+    status: experiment.status,
+    error: experiment.error || undefined,
+    summary: {
+      totalOrganisms: results.length,
+      expectedOrganisms: experiment.conditions.length * experiment.replications,
+      successRate: results.length
+        ? results.filter(r => r.reachedHarvest).length / results.length * 100
+        : 0,
+      bestCondition: bestCondition ? bestCondition.name : null
+    },
+    conditions,
+    rawData: results
+  };
+};
+
+const experimentView = ({ results, owner, ...experiment }) => experiment;
+
+// Environmental setpoint optimizer
+const SETPOINT_SEARCH_SPACE = {
+  temperature: { min: 5, max: 40, step: 4, precision: 0.1 },
+  humidity: { min: 20, max: 100, step: 10, precision: 1 },
+  ph: { min: 4, max: 9, step: 0.5, precision: 0.05 },
+  lightIntensity: { min: 0, max: 30000, step: 2000, precision: 100 },
+  co2: { min: 200, max: 2000, step: 300, precision: 10 }
+};
+
+const OPTIMIZER_OBJECTIVES = ['max_biomass', 'min_harvest_time'];
+
+// Mid-range genetics used when optimizing for a species rather than an organism
+const REFERENCE_GENETICS = {
+  growthSpeed: 1.0,
+  diseaseResistance: 0.8,
+  yieldPotential: 1.0,
+  adaptability: 0.85
+};
+
+const roundTo = (value, precision) => Math.round(value / precision) * precision;
+
+// Simulates a copy of the organism under fixed setpoints
+const evaluateSetpoints = (base, setpoints, hours, objective) => {
+  const organism = base.clone();
+  organism.updateEnvironment(setpoints);
+  
+  let minHealth = organism.health;
+  let harvestHour = organism.stage === 'HARVEST' ? 0 : null;
+  
+  for (let h = 1; h <= hours; h++) {
+    organism.simulate(1);
+    minHealth = Math.min(minHealth, organism.health);
+    if (harvestHour === null && organism.stage === 'HARVEST') {
+      harvestHour = h;
+      if (objective === 'min_harvest_time') break;
+    }
+  }
+  
+  return {
+    biomass: organism.biomass,
+    health: organism.health,
+    minHealth,
+    stage: organism.stage,
+    harvestHour,
+    environmentalScores: organism.calculateEnvironmentalScores()
+  };
+};
+
+// True when outcome a beats outcome b. Feasible outcomes always beat infeasible ones.
+const isBetterOutcome = (a, b, objective, minHealth) => {
+  const feasibleA = a.minHealth >= minHealth;
+  const feasibleB = b.minHealth >= minHealth;
+  if (feasibleA !== feasibleB) return feasibleA;
+  if (!feasibleA && a.minHealth !== b.minHealth) return a.minHealth > b.minHealth;
+  
+  if (objective === 'min_harvest_time') {
+    const hourA = a.harvestHour === null ? Infinity : a.harvestHour;
+    const hourB = b.harvestHour === null ? Infinity : b.harvestHour;
+    if (hourA !== hourB) return hourA < hourB;
+  }
+  
+  return a.biomass > b.biomass;
+};
+
+// Compass search: try a step up and down on each factor, keep improvements,
+// halve the steps when nothing improves. Scores are flat outside a species'
+// optimal ranges, so the search starts from both the current environment and
+// the species optimum and keeps the better start.
+const optimizeSetpoints = (base, { objective, hours, minHealth, bounds, maxEvaluations }) => {
+  const factors = Object.keys(bounds);
+  const profile = base.getProfile();
+  const steps = {};
+  
+  const clampSetpoints = (values) => {
+    const setpoints = {};
+    factors.forEach(factor => {
+      const { min, max, precision } = bounds[factor];
+      const value = typeof values[factor] === 'number' ? values[factor] : min;
+      setpoints[factor] = roundTo(Math.max(min, Math.min(max, value)), precision);
+    });
+    return setpoints;
+  };
+  
+  const starts = [
+    clampSetpoints(base.environmentalFactors),
+    clampSetpoints({
+      temperature: profile.optimalRanges.temperature.optimal,
+      humidity: profile.optimalRanges.humidity.optimal,
+      ph: profile.optimalRanges.ph.optimal,
+      lightIntensity: profile.resourceRequirements.lightIntensity,
+      co2: profile.resourceRequirements.co2
+    })
+  ];
+  
+  let current = starts[0];
+  let best = evaluateSetpoints(base, current, hours, objective);
+  const optimumStart = evaluateSetpoints(base, starts[1], hours, objective);
+  let evaluations = 2;
+  
+  if (isBetterOutcome(optimumStart, best, objective, minHealth)) {
+    current = starts[1];
+    best = optimumStart;
+  }
+  
+  factors.forEach(factor => { steps[factor] = bounds[factor].step; });
+  
+  while (evaluations < maxEvaluations) {
+    let improved = false;
+    
+    for (const factor of factors) {
+      for (const direction of [1, -1]) {
+        if (evaluations >= maxEvaluations) break;
+        
+        const { min, max, precision } = bounds[factor];
+        const value = roundTo(
+          Math.max(min, Math.min(max, current[factor] + direction * steps[factor])),
+          precision
+        );
+        if (value === current[factor]) continue;
+        
+        const candidate = { ...current, [factor]: value };
+        const outcome = evaluateSetpoints(base, candidate, hours, objective);
+        evaluations++;
+        
+        if (isBetterOutcome(outcome, best, objective, minHealth)) {
+          current = candidate;
+          best = outcome;
+          improved = true;
+        }
+      }
+    }
+    
+    if (!improved) {
+      factors.forEach(factor => { steps[factor] /= 2; });
+      if (factors.every(factor => steps[factor] < bounds[factor].precision)) break;
+    }
+  }
+  
+  return {
+    setpoints: current,
+    outcome: best,
+    feasible: best.minHealth >= minHealth,
+    evaluations
+  };
+};
+
+// WebSocket connections for real-time streaming
+const wsConnections = new Map();
+
+// API keys. Only a SHA-256 hash of each key is stored. Every key belongs to a
+// tenant, and tenants only ever see their own organisms, environments,
+// experiments and chaos events.
+const apiKeys = createStore('apiKeys');
+
+const API_TIERS = Object.keys(API_TIER_LIMITS);
+
+// Scopes a key can carry. `admin` grants every other scope and is needed to
+// change the shared species registry.
+const API_SCOPES = ['organisms:read', 'organisms:write', 'chaos:trigger', 'experiments:run', 'admin'];
+
+// Keys created without scopes, and keys stored before scopes existed, are
+// read-only
+const DEFAULT_SCOPES = ['organisms:read'];
+
+const keyScopes = key => key.scopes || DEFAULT_SCOPES;
+
+const hasScope = (scopes, scope) => scopes.includes(scope) || scopes.includes('admin');
+
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'scopes must be a non-empty array';
+  }
+  const unknown = scopes.filter(scope => !API_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `Unknown scopes: ${unknown.join(', ')}. Scopes must be among: ${API_SCOPES.join(', ')}`;
+  }
+  return null;
+};
+
+const insufficientScope = (scope, scopes) => [
+  'INSUFFICIENT_SCOPE',
+  `API key lacks the ${scope} scope`,
+  { requiredScope: scope, grantedScopes: scopes }
+];
+
+const hashApiKey = apiKey => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+const generateApiKey = () => `sk_live_${crypto.randomBytes(24).toString('hex')}`;
+
+const findApiKey = (apiKey) => {
+  const keyHash = hashApiKey(apiKey);
+  let found = null;
+  apiKeys.forEach(key => {
+    if (key.keyHash === keyHash && !key.revokedAt) found = key;
+  });
+  return found;
+};
+
+// Usage counters per key ID, in fixed windows aligned to the UTC minute, hour
+// and day. Requests rejected for going over a limit are not counted.
+const usage = createStore('usage');
+
+const currentWindow = (counter, windowMs, now) => {
+  const start = now - (now % windowMs);
+  return counter && counter.start === start ? counter : { start, count: 0 };
+};
+
+const keyUsage = (keyId, now = Date.now()) => {
+  const record = usage.get(keyId) || { keyId, totalRequests: 0, totalWebsocketMessages: 0 };
+  return {
+    ...record,
+    hour: currentWindow(record.hour, HOUR_MS, now),
+    day: currentWindow(record.day, DAY_MS, now),
+    websocket: currentWindow(record.websocket, MINUTE_MS, now)
+  };
+};
+
+const windowView = (counter, limit, windowMs) => ({
+  limit,
+  used: counter.count,
+  remaining: Math.max(0, limit - counter.count),
+  resetAt: new Date(counter.start + windowMs).toISOString()
+});
+
+const usageView = (key, now = Date.now()) => {
+  const limits = API_TIER_LIMITS[key.tier];
+  const record = keyUsage(key.id, now);
+  return {
+    keyId: key.id,
+    tier: key.tier,
+    hourly: windowView(record.hour, limits.requestsPerHour, HOUR_MS),
+    daily: windowView(record.day, limits.requestsPerDay, DAY_MS),
+    websocket: windowView(record.websocket, limits.wsMessagesPerMinute, MINUTE_MS),
+    totalRequests: record.totalRequests,
+    totalWebsocketMessages: record.totalWebsocketMessages
+  };
+};
+
+const rateLimitError = (code, message, window) => [
+  code,
+  message,
+  { limit: window.limit, remaining: 0, resetAt: window.resetAt }
+];
+
+// Counts a request against the key's hourly limit and daily quota. Returns
+// the usage after the request, and the error if either was used up.
+const consumeRequest = (key, now = Date.now()) => {
+  const limits = API_TIER_LIMITS[key.tier];
+  const record = keyUsage(key.id, now);
+  
+  if (record.hour.count >= limits.requestsPerHour) {
+    const view = usageView(key, now);
+    return { usage: view, error: rateLimitError('RATE_LIMIT_EXCEEDED', 'API rate limit exceeded', view.hourly) };
+  }
+  
+  if (record.day.count >= limits.requestsPerDay) {
+    const view = usageView(key, now);
+    return { usage: view, error: rateLimitError('QUOTA_EXCEEDED', 'Daily request quota exceeded', view.daily) };
+  }
+  
+  record.hour.count++;
+  record.day.count++;
+  record.totalRequests++;
+  usage.set(key.id, record);
+  
+  return { usage: usageView(key, now), error: null };
+};
+
+// Counts a WebSocket message against the key's per-minute limit
+const consumeWebsocketMessage = (key, now = Date.now()) => {
+  const limits = API_TIER_LIMITS[key.tier];
+  const record = keyUsage(key.id, now);
+  
+  if (record.websocket.count >= limits.wsMessagesPerMinute) {
+    const view = usageView(key, now);
+    return rateLimitError('RATE_LIMIT_EXCEEDED', 'WebSocket message rate limit exceeded', view.websocket);
+  }
+  
+  record.websocket.count++;
+  record.totalWebsocketMessages++;
+  usage.set(key.id, record);
+  
+  return null;
+};
+
+const unixSeconds = iso => Math.ceil(Date.parse(iso) / 1000);
+
+// Sets the documented rate limit headers and rejects the request with 429
+// once the key's hourly limit or daily quota is used up
+const enforceRateLimit = (key, req, res, next) => {
+  const { usage: view, error } = consumeRequest(key);
+  
+  res.set({
+    'X-RateLimit-Limit': view.hourly.limit,
+    'X-RateLimit-Remaining': view.hourly.remaining,
+    'X-RateLimit-Reset': unixSeconds(view.hourly.resetAt),
+    'X-Quota-Limit': view.daily.limit,
+    'X-Quota-Remaining': view.daily.remaining,
+    'X-Quota-Reset': unixSeconds(view.daily.resetAt)
+  });
+  
+  if (error) {
+    const [, , { resetAt }] = error;
+    res.set('Retry-After', Math.max(1, unixSeconds(resetAt) - Math.floor(Date.now() / 1000)));
+    return sendError(res, ...error);
+  }
+  
+  next();
+};
+
+// Strips the hash before returning a key record
+const apiKeyView = ({ keyHash, ...key }) => ({ ...key, scopes: keyScopes(key) });
+
+// Middleware to validate API key
+const validateApiKey = (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  
+  if (!apiKey) {
+    return sendError(res, 'UNAUTHORIZED', 'API key required');
+  }
+  
+  const key = findApiKey(apiKey);
+  if (!key) {
+    return sendError(res, 'UNAUTHORIZED', 'Invalid API key');
+  }
+  
+  // Kept to the minute, so a busy key does not mark the key store for a
+  // rewrite on every request
+  if (!key.lastUsedAt || Date.now() - Date.parse(key.lastUsedAt) >= MINUTE_MS) {
+    key.lastUsedAt = new Date().toISOString();
+    apiKeys.set(key.id, key);
+  }
+  
+  req.keyId = key.id;
+  req.owner = key.tenantId;
+  req.apiTier = key.tier;
+  req.scopes = keyScopes(key);
+  next();
+};
+
+// Middleware to check the validated key carries a scope
+const requireScope = scope => (req, res, next) => {
+  if (!hasScope(req.scopes, scope)) {
+    return sendError(res, ...insufficientScope(scope, req.scopes));
+  }
+  next();
+};
+
+// Middleware for simulator-wide controls, which only the operator's
+// X-Admin-Key may use
+const validateAdminKey = (req, res, next) => {
+  const adminKey = req.headers['x-admin-key'];
+  
+  if (!ADMIN_API_KEY) {
+    return sendError(res, 'FORBIDDEN', 'Admin API is disabled (ADMIN_API_KEY is not set)');
+  }
+  
+  // Compare hashes so the comparison takes the same time for any input
+  if (!adminKey || !crypto.timingSafeEqual(
+    Buffer.from(hashApiKey(adminKey), 'hex'),
+    Buffer.from(hashApiKey(ADMIN_API_KEY), 'hex')
+  )) {
+    return sendError(res, 'UNAUTHORIZED', 'Invalid admin key');
+  }
+  
+  next();
+};
+
+// Middleware for key management. The X-Admin-Key manages every tenant's keys;
+// an API key with the admin scope manages only its own tenant's (req.owner).
+const validateKeyAdmin = (req, res, next) => {
+  if (!req.headers['x-admin-key'] && req.headers['x-api-key']) {
+    return validateApiKey(req, res, () => requireScope('admin')(req, res, next));
+  }
+  validateAdminKey(req, res, next);
+};
+
+// Keys of other tenants are not found for tenant admins
+const managedKey = (req, id) => {
+  const key = apiKeys.get(id);
+  return key && (req.owner === undefined || key.tenantId === req.owner) ? key : undefined;
+};
+
+// Anything owned by another tenant is reported as not found, so its
+// existence is not revealed
+const isOwned = (req, item) => Boolean(item) && item.owner === req.owner;
+
+// Owned organisms are caught up with the clock before they are used
+const ownedOrganism = (req, id) => {
+  const organism = organisms.get(id);
+  if (!isOwned(req, organism)) return undefined;
+  
+  if (catchUp(organism) > 0) commitOrganism(organism, 'simulate');
+  return organism;
+};
+
+const ownedEnvironment = (req, id) => {
+  const environment = environments.get(id);
+  return isOwned(req, environment) ? environment : undefined;
+};
+
+// Strips the owner before returning an environment
+const environmentView = ({ owner, ...environment }) => environment;
+
+// Request validation. Bodies, query parameters and WebSocket environment
+// updates are checked against the OpenAPI document, which is the YAML part
+// of README.md (everything before the first `---` line).
+const openApiSpec = yaml.load(fs.readFileSync(OPENAPI_SPEC, 'utf8').split(/^---$/m)[0]);
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const resolveRef = (ref) => {
+  const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], openApiSpec);
+  if (!target) {
+    throw new Error(`Unresolved reference in ${OPENAPI_SPEC}: ${ref}`);
+  }
+  return target.$ref ? resolveRef(target.$ref) : target;
+};
+
+const deref = (node) => (node && node.$ref ? resolveRef(node.$ref) : node);
+
+// Operations keyed by method and path, with path parameters blanked so that
+// /organisms/{organismId} and the Express route /organisms/:id match
+const normalizePath = (routePath) =>
+  routePath.replace(/^\/api\/v1/, '').replace(/\{[^}]+\}|:\w+/g, '{}');
+
+const specOperations = new Map();
+Object.entries(openApiSpec.paths).forEach(([specPath, operations]) => {
+  HTTP_METHODS.filter(method => operations[method]).forEach(method => {
+    specOperations.set(`${method.toUpperCase()} ${normalizePath(specPath)}`, operations[method]);
+  });
+});
+
+const TYPE_CHECKS = {
+  object: value => typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean'
+};
+
+const withArticle = (word) => `${/^[aeiou]/.test(word) ? 'an' : 'a'} ${word}`;
+
+const describeSchema = (schema) => {
+  const resolved = deref(schema);
+  return resolved.format ? `${resolved.type} (${resolved.format})` : resolved.type;
+};
+
+const joinField = (field, name) => (field ? `${field}.${name}` : name);
+
+// Collects { location, field, reason } for every violation of the schema.
+// Objects that list their properties accept no others unless the schema
+// sets additionalProperties; readOnly properties are ignored on input.
+const validateValue = (schemaOrRef, value, field, location, errors) => {
+  const schema = deref(schemaOrRef);
+  const fail = reason => errors.push({ location, field: field || location, reason });
+
+  if (value === null) {
+    if (!schema.nullable) fail('must not be null');
+    return;
+  }
+
+  const alternatives = schema.oneOf || schema.anyOf;
+  if (alternatives) {
+    const matches = alternatives.some(alternative => {
+      const alternativeErrors = [];
+      validateValue(alternative, value, field, location, alternativeErrors);
+      return alternativeErrors.length === 0;
+    });
+    if (!matches) fail(`must be ${alternatives.map(describeSchema).join(' or ')}`);
+    return;
+  }
+
+  (schema.allOf || []).forEach(part => validateValue(part, value, field, location, errors));
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    fail(`must be ${withArticle(schema.type)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined) {
+      if (schema.exclusiveMinimum && value <= schema.minimum) {
+        fail(`must be greater than ${schema.minimum}`);
+      } else if (value < schema.minimum) {
+        fail(`must be at least ${schema.minimum}`);
+      }
+    }
+    if (schema.maximum !== undefined) {
+      if (schema.exclusiveMaximum && value >= schema.maximum) {
+        fail(`must be less than ${schema.maximum}`);
+      } else if (value > schema.maximum) {
+        fail(`must be at most ${schema.maximum}`);
+      }
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      fail('must be an ISO 8601 date-time');
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(schema.items, item, `${field}[${index}]`, location, errors));
+    }
+  } else if (typeof value === 'object' && (schema.properties || schema.additionalProperties)) {
+    const properties = schema.properties || {};
+    
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors.push({ location, field: joinField(field, name), reason: 'is required' });
+      }
+    });
+    
+    Object.entries(value).forEach(([name, item]) => {
+      const nested = joinField(field, name);
+      if (properties[name]) {
+        if (!deref(properties[name]).readOnly) {
+          validateValue(properties[name], item, nested, location, errors);
+        }
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateValue(schema.additionalProperties, item, nested, location, errors);
+      } else if (schema.additionalProperties !== true) {
+        errors.push({ location, field: nested, reason: 'is not an allowed field' });
+      }
+    });
+  }
+};
+
+// Query strings arrive as text; numbers and booleans are converted before
+// validation. Repeated parameters stay arrays and fail the type check.
+const coerceQueryValue = (schema, value) => {
+  if (typeof value !== 'string') return value;
+  
+  switch (deref(schema).type) {
+    case 'integer':
+    case 'number':
+      return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    default:
+      return value;
+  }
+};
+
+const NO_BODY_SCHEMA = { type: 'object', properties: {} };
+
+const ENVIRONMENTAL_FACTORS_SCHEMA = { $ref: '#/components/schemas/EnvironmentalFactors' };
+
+const invalidRequest = (errors) => [
+  'INVALID_REQUEST',
+  'Invalid request parameters',
+  { field: errors[0].field, reason: errors[0].reason, errors }
+];
+
+// Checks the query and body of a request against its operation in the spec.
+// Coerced query values replace the strings in req.query.
+const validateRequest = (req, res, next) => {
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+  const operation = specOperations.get(`${method} ${normalizePath(req.route.path)}`);
+  if (!operation) {
+    throw new Error(`No operation in ${OPENAPI_SPEC} for ${method} ${req.route.path}`);
+  }
+  
+  const errors = [];
+  const queryParameters = (operation.parameters || []).map(deref).filter(parameter => parameter.in === 'query');
+  const declared = new Set(queryParameters.map(parameter => parameter.name));
+  
+  Object.keys(req.query).filter(name => !declared.has(name)).forEach(name => {
+    errors.push({ location: 'query', field: name, reason: 'is not an allowed parameter' });
+  });
+  
+  queryParameters.forEach(parameter => {
+    const value = req.query[parameter.name];
+    if (value === undefined) {
+      if (parameter.required) {
+        errors.push({ location: 'query', field: parameter.name, reason: 'is required' });
+      }
+      return;
+    }
+    const coerced = coerceQueryValue(parameter.schema, value);
+    validateValue(parameter.schema, coerced, parameter.name, 'query', errors);
+    req.query[parameter.name] = coerced;
+  });
+  
+  const content = operation.requestBody && operation.requestBody.content['application/json'];
+  validateValue(content ? content.schema : NO_BODY_SCHEMA, req.body === undefined ? {} : req.body, '', 'body', errors);
+  
+  if (errors.length > 0) {
+    return sendError(res, ...invalidRequest(errors));
+  }
+  next();
+};
+
+// Every route needs an operation in the spec and every operation a route, so
+// no request skips validation and the spec documents only what is served.
+// Called once all routes are registered; throws on any difference.
+const assertRoutesMatchSpec = () => {
+  const routes = new Set();
+  app._router.stack.filter(layer => layer.route).forEach(({ route }) => {
+    Object.keys(route.methods).forEach(method => {
+      routes.add(`${method.toUpperCase()} ${normalizePath(route.path)}`);
+    });
+  });
+  
+  const undocumented = Array.from(routes).filter(route => !specOperations.has(route));
+  const unrouted = Array.from(specOperations.keys()).filter(operation => !routes.has(operation));
+  
+  if (undocumented.length > 0 || unrouted.length > 0) {
+    throw new Error(
+      `Routes and ${OPENAPI_SPEC} disagree. ` +
+      `Missing from the spec: ${undocumented.join(', ') || 'none'}. ` +
+      `Missing routes: ${unrouted.join(', ') || 'none'}`
+    );
+  }
+};
+
+// Every request with a valid API key is counted, and gets the rate limit
+// headers, before it is routed, so 404s and unauthenticated routes carry them too
+app.use((req, res, next) => {
   const apiKey = req.headers['x-api-key'];
+  const key = apiKey ? findApiKey(apiKey) : null;
+  
+  if (!key) {
+    return next(); // Routes that need a key reject the request themselves
+  }
+  enforceRateLimit(key, req, res, next);
+});
+
+app.use(express.json());
+
+// Routes
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'healthy',
+    version: '1.0.0',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// The OpenAPI document requests are validated against
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
+// Create API key. Pass the tenantId of an existing key to add a key to the
+// same tenant; otherwise the key starts a new tenant. Tenant admins always
+// add to their own tenant, at no higher tier than their own key.
+app.post('/api/v1/admin/keys', validateKeyAdmin, validateRequest, (req, res) => {
+  const { name, tier = req.apiTier || 'hobbyist', tenantId, scopes = DEFAULT_SCOPES } = req.body;
+  
+  if (!name || typeof name !== 'string') {
+    return sendError(res, 'INVALID_REQUEST', 'Key name required');
+  }
+  
+  if (!API_TIERS.includes(tier)) {
+    return sendError(res, 'INVALID_REQUEST', `Tier must be one of: ${API_TIERS.join(', ')}`);
+  }
+  
+  if (tenantId !== undefined && (typeof tenantId !== 'string' || !tenantId)) {
+    return sendError(res, 'INVALID_REQUEST', 'tenantId must be a non-empty string');
+  }
+  
+  if (req.owner !== undefined) {
+    if (tenantId !== undefined && tenantId !== req.owner) {
+      return sendError(res, 'FORBIDDEN', 'Tenant admins can only create keys for their own tenant', { tenantId });
+    }
+    if (API_TIERS.indexOf(tier) > API_TIERS.indexOf(req.apiTier)) {
+      return sendError(res, 'FORBIDDEN', `Tenant admins cannot create keys above their own tier (${req.apiTier})`, { tier });
+    }
+  }
+  
+  const scopesError = validateScopes(scopes);
+  if (scopesError) {
+    return sendError(res, 'INVALID_REQUEST', scopesError);
+  }
+  
+  const apiKey = generateApiKey();
+  const key = {
+    id: uuidv4(),
+    name,
+    tier,
+    scopes: [...new Set(scopes)],
+    tenantId: req.owner || tenantId || uuidv4(),
+    keyHash: hashApiKey(apiKey),
+    prefix: apiKey.slice(0, 12),
+    createdAt: new Date().toISOString(),
+    rotatedAt: null,
+    revokedAt: null,
+    lastUsedAt: null
+  };
+  
+  apiKeys.set(key.id, key);
+  
+  // The plain key is only ever returned here and on rotation
+  res.status(201).json({ key: apiKeyView(key), apiKey });
+});
+
+// List API keys
+app.get('/api/v1/admin/keys', validateKeyAdmin, validateRequest, (req, res) => {
+  const { tenantId } = req.query;
+  const keys = Array.from(apiKeys.values())
+    .filter(key => managedKey(req, key.id))
+    .filter(key => !tenantId || key.tenantId === tenantId)
+    .map(apiKeyView);
+  
+  res.json({ keys, total: keys.length });
+});
+
+// Revoke API key
+app.post('/api/v1/admin/keys/:id/revoke', validateKeyAdmin, validateRequest, (req, res) => {
+  const key = managedKey(req, req.params.id);
+  
+  if (!key) {
+    return sendError(res, 'NOT_FOUND', 'API key not found', { keyId: req.params.id });
+  }
+  
+  if (key.revokedAt) {
+    return sendError(res, 'INVALID_STATE', 'API key already revoked');
+  }
+  
+  key.revokedAt = new Date().toISOString();
+  apiKeys.set(key.id, key);
+  
+  // Drop streams opened with the revoked key
+  wsConnections.forEach((ws, organismId) => {
+    if (ws.keyId === key.id) {
+      rejectSocket(ws, 1008, 'UNAUTHORIZED', 'API key revoked');
+      wsConnections.delete(organismId);
+    }
+  });
+  
+  res.json({ key: apiKeyView(key) });
+});
+
+// Replace the scopes of an API key. Takes effect on the next request; open
+// streams that lose organisms:read are closed.
+app.put('/api/v1/admin/keys/:id/scopes', validateKeyAdmin, validateRequest, (req, res) => {
+  const key = managedKey(req, req.params.id);
+  
+  if (!key) {
+    return sendError(res, 'NOT_FOUND', 'API key not found', { keyId: req.params.id });
+  }
+  
+  if (key.revokedAt) {
+    return sendError(res, 'INVALID_STATE', 'Cannot change the scopes of a revoked API key');
+  }
+  
+  const scopesError = validateScopes(req.body.scopes);
+  if (scopesError) {
+    return sendError(res, 'INVALID_REQUEST', scopesError);
+  }
+  
+  key.scopes = [...new Set(req.body.scopes)];
+  apiKeys.set(key.id, key);
+  
+  if (!hasScope(key.scopes, 'organisms:read')) {
+    wsConnections.forEach((ws, organismId) => {
+      if (ws.keyId === key.id) {
+        rejectSocket(ws, 1008, ...insufficientScope('organisms:read', key.scopes));
+        wsConnections.delete(organismId);
+      }
+    });
+  }
+  
+  res.json({ key: apiKeyView(key) });
+});
+
+// Rotate API key: issues a new secret for the same key ID, tenant, tier and
+// scopes. The old secret stops working immediately.
+app.post('/api/v1/admin/keys/:id/rotate', validateKeyAdmin, validateRequest, (req, res) => {
+  const key = managedKey(req, req.params.id);
+  
+  if (!key) {
+    return sendError(res, 'NOT_FOUND', 'API key not found', { keyId: req.params.id });
+  }
+  
+  if (key.revokedAt) {
+    return sendError(res, 'INVALID_STATE', 'Cannot rotate a revoked API key');
+  }
+  
+  const apiKey = generateApiKey();
+  key.keyHash = hashApiKey(apiKey);
+  key.prefix = apiKey.slice(0, 12);
+  key.rotatedAt = new Date().toISOString();
+  apiKeys.set(key.id, key);
+  
+  res.json({ key: apiKeyView(key), apiKey });
+});
+
+// Request and WebSocket message consumption of the calling key. Any valid key
+// can read its own usage.
+app.get('/api/v1/usage', validateApiKey, validateRequest, (req, res) => {
+  res.json(usageView(apiKeys.get(req.keyId)));
+});
+
+// Create organism
+app.post('/api/v1/organisms', validateApiKey, requireScope('organisms:write'), validateRequest, (req, res) => {
+  const { species, initialBiomass, seed, environmentId } = req.body;
+  
+  if (!species) {
+    return sendError(res, 'INVALID_REQUEST', 'Species required');
+  }
+  
+  if (!findSpeciesProfile(species)) {
+    return sendError(res, 'INVALID_REQUEST', 'Unknown species (see /species)', { field: 'species', species });
+  }
+    const environment = environmentId !== undefined ? ownedEnvironment(req, environmentId) : null;
+  if (environmentId !== undefined && !environment) {
+    return sendError(res, 'INVALID_REQUEST', 'Environment not found', { field: 'environmentId' });
+  }
+  
+  if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF)) {
+    return sendError(res, 'INVALID_REQUEST', 'Seed must be an integer between 0 and 4294967295');
+  }
+  
+  const organism = new OrganismModel(species, initialBiomass, {
+    seed,
+    environmentId,
+    owner: req.owner
+  });
+  if (environment) {
+    organism.environmentalFactors = mergeFactors(organism.environmentalFactors, environment.conditions);
+  }
+  organism.pendingEvents.push(createLogEntry(
+    { type: 'created', source: 'rest', actor: req.keyId, details: { species, seed: organism.seed } },
+    {},
+    auditSnapshot(organism)
+  ));
+  commitOrganism(organism, 'create');
+  
+  res.status(201).json({
+    organism: organism.getState(),
+    message: 'Organism created successfully'
+  });
+});
+
+// Event log of an organism, oldest first. Still readable after deletion.
+const EVENT_SOURCES = ['rest', 'websocket', 'chaos', 'engine'];
+
+app.get('/api/v1/organisms/:id/events', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  const organism = ownedOrganism(req, req.params.id);
+  
+  if (!organism && !isOwned(req, eventLogOwners.get(req.params.id))) {
+    return sendError(res, 'INVALID_ORGANISM_ID', 'Organism not found', { organismId: req.params.id });
+  }
+  
+  const entries = eventLog.get(req.params.id) || [];
+  
+  const { type, source, field } = req.query;
+  const from = parseTimestamp(req.query.from);
+  const to = parseTimestamp(req.query.to);
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : 100;
+  
+  if (source !== undefined && !EVENT_SOURCES.includes(source)) {
+    return sendError(res, 'INVALID_REQUEST', `Source must be one of: ${EVENT_SOURCES.join(', ')}`);
+  }
   
-  if (!apiKey) {
-    return res.status(401).json({ error: 'API key required' });
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return sendError(res, 'INVALID_REQUEST', 'from and to must be Unix milliseconds or ISO 8601 dates');
+  }
+  
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return sendError(res, 'INVALID_REQUEST', 'Limit must be an integer between 1 and 1000');
+  }
+  
+  const matching = entries.filter(event =>
+    (!type || event.type === type) &&
+    (!source || event.source === source) &&
+    (!field || event.changes[field] !== undefined) &&
+    (from === undefined || event.timestamp >= from) &&
+    (to === undefined || event.timestamp <= to)
+  );
+  
+  res.json({
+    organismId: req.params.id,
+    deleted: !organism,
+    total: matching.length,
+    events: matching.slice(-limit)
+  });
+});
+
+// Random event definitions, including any loaded from EVENTS_CONFIG
+app.get('/api/v1/random-events', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  res.json({ events: RANDOM_EVENTS });
+});
+
+// Breed two organisms, mirroring BioNFT.breed
+app.post('/api/v1/organisms/breed', validateApiKey, requireScope('organisms:write'), validateRequest, (req, res) => {
+  const { parentId1, parentId2, initialBiomass = 50, seed, environmentId } = req.body;
+  
+  const parents = [parentId1, parentId2].map(id => ownedOrganism(req, id));
+  
+  for (const [i, parent] of parents.entries()) {
+    if (!parent) {
+      return sendError(res, 'INVALID_ORGANISM_ID', `Parent ${i + 1} not found`, { organismId: [parentId1, parentId2][i] });
+    }
+  }
+  
+  if (parents[0].species !== parents[1].species) {
+    return sendError(res, 'INVALID_REQUEST', 'Species mismatch');
+  }
+  
+  if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF)) {
+    return sendError(res, 'INVALID_REQUEST', 'Seed must be an integer between 0 and 4294967295');
+  }
+  
+  const environment = environmentId !== undefined ? ownedEnvironment(req, environmentId) : null;
+  if (environmentId !== undefined && !environment) {
+    return sendError(res, 'INVALID_REQUEST', 'Environment not found', { field: 'environmentId' });
+  }
+  
+  const offspring = new OrganismModel(parents[0].species, initialBiomass, {
+    seed,
+    environmentId,
+    owner: req.owner
+  });
+  offspring.inheritFrom(parents[0], parents[1]);
+  if (environment) {
+    offspring.environmentalFactors = mergeFactors(offspring.environmentalFactors, environment.conditions);
+  }
+  offspring.pendingEvents.push(createLogEntry(
+    { type: 'bred', source: 'rest', actor: req.keyId, details: { parentIds: offspring.parentIds } },
+    {},
+    auditSnapshot(offspring)
+  ));
+  commitOrganism(offspring, 'breed');
+  
+  res.status(201).json({
+    organism: offspring.getState(),
+    message: 'Offspring bred successfully'
+  });
+});
+
+// List organisms owned by the calling API key
+const ORGANISM_SORTS = {
+  biomass_asc: (a, b) => a.biomass - b.biomass,
+  biomass_desc: (a, b) => b.biomass - a.biomass,
+  health_asc: (a, b) => a.health - b.health,
+  health_desc: (a, b) => b.health - a.health,
+  created_asc: (a, b) => a.createdAt - b.createdAt,
+  created_desc: (a, b) => b.createdAt - a.createdAt
+};
+
+app.get('/api/v1/organisms', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  const { species, stage, sort = 'created_desc' } = req.query;
+  const minHealth = req.query.minHealth !== undefined ? Number(req.query.minHealth) : undefined;
+  const page = req.query.page !== undefined ? Number(req.query.page) : 1;
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20;
+  
+  if (stage !== undefined && !GROWTH_STAGES.includes(stage)) {
+    return sendError(
+      res,
+      'INVALID_REQUEST',
+      `Invalid stage. Must be one of: ${GROWTH_STAGES.join(', ')}`
+    );
+  }
+  
+  if (minHealth !== undefined && !(minHealth >= 0 && minHealth <= 100)) {
+    return sendError(res, 'INVALID_REQUEST', 'minHealth must be between 0 and 100');
+  }
+  
+  if (!Number.isInteger(page) || page < 1) {
+    return sendError(res, 'INVALID_REQUEST', 'page must be a positive integer');
+  }
+  
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return sendError(res, 'INVALID_REQUEST', 'limit must be an integer between 1 and 100');
+  }
+  
+  if (!ORGANISM_SORTS[sort]) {
+    return sendError(
+      res,
+      'INVALID_REQUEST',
+      `Invalid sort. Must be one of: ${Object.keys(ORGANISM_SORTS).join(', ')}`
+    );
+  }
+  
+  // Filters and sorting see each organism as last simulated; only the page
+  // returned is caught up to the clock, so listing stays cheap for large tenants
+  const matches = Array.from(organisms.values())
+    .filter(organism => organism.owner === req.owner)
+    .filter(organism => species === undefined || organism.species === species)
+    .filter(organism => stage === undefined || organism.stage === stage)
+    .filter(organism => minHealth === undefined || organism.health >= minHealth)
+    .sort(ORGANISM_SORTS[sort]);
+  
+  const total = matches.length;
+  
+  res.json({
+    organisms: matches.slice((page - 1) * limit, page * limit)
+      .map(organism => ownedOrganism(req, organism.id).getState()),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// Get organism
+app.get('/api/v1/organisms/:id', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  const organism = ownedOrganism(req, req.params.id);
+  
+  if (!organism) {
+    return sendError(res, 'INVALID_ORGANISM_ID', 'Organism not found', { organismId: req.params.id });
+  }
+  
+  res.json(organism.getState());
+});
+
+// Update organism
+app.put('/api/v1/organisms/:id', validateApiKey, requireScope('organisms:write'), validateRequest, (req, res) => {
+  const organism = ownedOrganism(req, req.params.id);
+  
+  if (!organism) {
+    return sendError(res, 'INVALID_ORGANISM_ID', 'Organism not found', { organismId: req.params.id });
+  }
+  
+  const { simulate, environmentalFactors } = req.body;
+  
+  if (environmentalFactors) {
+    organism.audit(
+      { type: 'environment_updated', source: 'rest', actor: req.keyId },
+      () => organism.updateEnvironment(environmentalFactors)
+    );
+    commitOrganism(organism, 'environment');
+  }
+  
+  if (simulate) {
+    organism.audit(
+      { type: 'simulated', source: 'rest', actor: req.keyId, details: { hours: 1 } },
+      () => organism.simulate()
+    );
+    commitOrganism(organism, 'simulate');
+  }
+  
+  res.json(organism.getState());
+});
+
+// Manual stage transition
+app.post('/api/v1/organisms/:id/stage', validateApiKey, requireScope('organisms:write'), validateRequest, (req, res) => {
+  const organism = ownedOrganism(req, req.params.id);
+  
+  if (!organism) {
+    return sendError(res, 'INVALID_ORGANISM_ID', 'Organism not found', { organismId: req.params.id });
+  }
+  
+  const { stage } = req.body;
+  
+  if (!GROWTH_STAGES.includes(stage)) {
+    return sendError(
+      res,
+      'INVALID_REQUEST',
+      `Invalid stage. Must be one of: ${GROWTH_STAGES.join(', ')}`
+    );
+  }
+  
+  const previousStage = organism.stage;
+  const transitioned = organism.audit(
+    { type: 'stage_transition', source: 'rest', actor: req.keyId },
+    () => organism.transitionTo(stage)
+  );
+  
+  if (!transitioned) {
+    return sendError(
+      res,
+      'INVALID_STAGE_TRANSITION',
+      `Invalid stage transition from ${previousStage} to ${stage}`,
+      { from: previousStage, to: stage }
+    );
+  }
+  
+  commitOrganism(organism, 'stage');
+  
+  res.json(organism.getState());
+});
+
+// Harvest an organism
+app.post('/api/v1/organisms/:id/harvest', validateApiKey, requireScope('organisms:write'), validateRequest, (req, res) => {
+  const organism = ownedOrganism(req, req.params.id);
+  
+  if (!organism) {
+    return sendError(res, 'INVALID_ORGANISM_ID', 'Organism not found', { organismId: req.params.id });
+  }
+  
+  if (organism.stage !== 'HARVEST') {
+    return sendError(
+      res,
+      'INVALID_STATE',
+      `Organism must be in the HARVEST stage to be harvested (current: ${organism.stage})`,
+      { stage: organism.stage }
+    );
+  }
+  
+  const record = recordHarvest(organism, organism.audit(
+    { type: 'harvested', source: 'rest', actor: req.keyId },
+    () => organism.harvest()
+  ));
+  commitOrganism(organism, 'harvest');
+  
+  res.json({
+    harvest: harvestView(record),
+    organism: organism.getState()
+  });
+});
+
+// Yield report for an organism
+app.get('/api/v1/organisms/:id/yield', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  const organism = ownedOrganism(req, req.params.id);
+  
+  if (!organism) {
+    return sendError(res, 'INVALID_ORGANISM_ID', 'Organism not found', { organismId: req.params.id });
+  }
+  
+  const records = harvests.get(organism.id) || [];
+  
+  res.json({
+    organismId: organism.id,
+    species: organism.species,
+    ...summarizeYield(records),
+    harvests: records.map(harvestView)
+  });
+});
+
+// Ancestry of an organism as a tree of parents, up to `depth` generations back
+const MAX_LINEAGE_DEPTH = 20;
+
+const lineageNode = (req, id, depth) => {
+  const organism = ownedOrganism(req, id);
+  
+  if (!organism) {
+    return { id, missing: true }; // Deleted ancestor
+  }
+  
+  return {
+    id: organism.id,
+    species: organism.species,
+    generation: organism.generation,
+    rarity: calculateRarity(organism.geneticTraits),
+    geneticTraits: organism.geneticTraits,
+    parents: depth > 0 ? organism.parentIds.map(parentId => lineageNode(req, parentId, depth - 1)) : []
+  };
+};
+
+app.get('/api/v1/organisms/:id/lineage', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  if (!ownedOrganism(req, req.params.id)) {
+    return sendError(res, 'INVALID_ORGANISM_ID', 'Organism not found', { organismId: req.params.id });
+  }
+  
+  const depth = req.query.depth !== undefined ? Number(req.query.depth) : 5;
+  
+  if (!Number.isInteger(depth) || depth < 0 || depth > MAX_LINEAGE_DEPTH) {
+    return sendError(res, 'INVALID_REQUEST', `Depth must be an integer between 0 and ${MAX_LINEAGE_DEPTH}`);
+  }
+  
+  const offspring = [];
+  organisms.forEach(organism => {
+    if (isOwned(req, organism) && organism.parentIds.includes(req.params.id)) offspring.push(organism.id);
+  });
+  
+  res.json({
+    lineage: lineageNode(req, req.params.id, depth),
+    offspringIds: offspring
+  });
+});
+
+// Treat an organism's infections
+app.post('/api/v1/organisms/:id/treat', validateApiKey, requireScope('organisms:write'), validateRequest, (req, res) => {
+  const organism = ownedOrganism(req, req.params.id);
+  
+  if (!organism) {
+    return sendError(res, 'INVALID_ORGANISM_ID', 'Organism not found', { organismId: req.params.id });
+  }
+  
+  const { treatment } = req.body;
+  
+  if (!TREATMENTS[treatment]) {
+    return sendError(
+      res,
+      'INVALID_REQUEST',
+      `Treatment must be one of: ${Object.keys(TREATMENTS).join(', ')}`
+    );
+  }
+  
+  if (organism.stage === 'DECAY') {
+    return sendError(res, 'INVALID_STATE', 'Cannot treat a decaying organism');
+  }
+  
+  const treated = organism.audit(
+    { type: 'treated', source: 'rest', actor: req.keyId, details: { treatment } },
+    () => organism.treat(treatment)
+  );
+  commitOrganism(organism, 'treatment');
+  
+  res.json({
+    treatment,
+    treatedPathogens: treated,
+    protectedHours: TREATMENTS[treatment].protectionHours,
+    organism: organism.getState()
+  });
+});
+
+// Delete organism
+app.delete('/api/v1/organisms/:id', validateApiKey, requireScope('organisms:write'), validateRequest, (req, res) => {
+  const organism = ownedOrganism(req, req.params.id);
+  
+  if (!organism) {
+    return sendError(res, 'INVALID_ORGANISM_ID', 'Organism not found', { organismId: req.params.id });
+  }
+  
+  recordEvents(organism, [createLogEntry(
+    { type: 'deleted', source: 'rest', actor: req.keyId },
+    auditSnapshot(organism),
+    {}
+  )]);
+  
+  organisms.delete(req.params.id);
+  history.delete(req.params.id);
+  
+  // Close any WebSocket connections
+  const ws = wsConnections.get(req.params.id);
+  if (ws) {
+    ws.close();
+    wsConnections.delete(req.params.id);
+  }
+  
+  res.json({ message: 'Organism deleted successfully' });
+});
+
+// Get historical data
+app.get('/api/v1/data/:organismId/historical', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  const organism = ownedOrganism(req, req.params.organismId);
+  
+  if (!organism) {
+    return sendError(res, 'INVALID_ORGANISM_ID', 'Organism not found', { organismId: req.params.organismId });
+  }
+  
+  const { resolution = 'hourly', metrics: metricsParam, aggregation: aggregationParam } = req.query;
+  
+  if (!(resolution in RESOLUTIONS)) {
+    return sendError(
+      res,
+      'INVALID_REQUEST',
+      `Invalid resolution. Must be one of: ${Object.keys(RESOLUTIONS).join(', ')}`
+    );
+  }
+  
+  const metrics = metricsParam ? metricsParam.split(',').map(m => m.trim()) : HISTORY_METRICS;
+  const unknownMetrics = metrics.filter(m => !HISTORY_METRICS.includes(m));
+  if (unknownMetrics.length) {
+    return sendError(res, 'INVALID_REQUEST', `Unknown metrics: ${unknownMetrics.join(', ')}`);
+  }
+  
+  const aggregation = parseAggregation(aggregationParam, metrics);
+  if (!aggregation) {
+    return sendError(
+      res,
+      'INVALID_REQUEST',
+      `Invalid aggregation. Must be one of: ${Object.keys(AGGREGATIONS).join(', ')}`
+    );
+  }
+  
+  // from/to take Unix milliseconds or ISO dates; startTime/endTime are Unix seconds
+  const from = req.query.startTime !== undefined
+    ? Number(req.query.startTime) * 1000
+    : parseTimestamp(req.query.from);
+  const to = req.query.endTime !== undefined
+    ? Number(req.query.endTime) * 1000
+    : parseTimestamp(req.query.to);
+  
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return sendError(res, 'INVALID_REQUEST', 'Invalid time range');
+  }
+  
+  const samples = (history.get(organism.id) || []).filter(sample =>
+    (from === undefined || sample.timestamp >= from) &&
+    (to === undefined || sample.timestamp <= to)
+  );
+  
+  res.json({
+    organismId: req.params.organismId,
+    dataPoints: downsample(samples, RESOLUTIONS[resolution], metrics, aggregation),
+    resolution,
+    metrics,
+    aggregation: resolution === 'raw' ? null : aggregation
+  });
+});
+
+// Predict growth
+app.post('/api/v1/data/:organismId/predict', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  const organism = ownedOrganism(req, req.params.organismId);
+  
+  if (!organism) {
+    return sendError(res, 'INVALID_ORGANISM_ID', 'Organism not found', { organismId: req.params.organismId });
+  }
+  
+  const { hours = 24, runs = 1, includeConfidenceIntervals = true } = req.body;
+  
+  if (!Number.isInteger(hours) || hours < 1 || hours > 720) {
+    return sendError(res, 'INVALID_REQUEST', 'Hours must be an integer between 1 and 720');
+  }
+  
+  if (!Number.isInteger(runs) || runs < 1 || runs > MAX_PREDICTION_RUNS) {
+    return sendError(
+      res,
+      'INVALID_REQUEST',
+      `Runs must be an integer between 1 and ${MAX_PREDICTION_RUNS}`
+    );
+  }
+  
+  const { schedule } = req.body;
+  
+  // Predictions run synchronously, so the total work per request is capped.
+  // A schedule doubles it, since baseline and scenario are both projected.
+  const simulatedHours = runs * hours * (schedule === undefined ? 1 : 2);
+  if (simulatedHours > MAX_PREDICTION_HOURS) {
+    return sendError(
+      res,
+      'INVALID_REQUEST',
+      `runs x hours must be at most ${MAX_PREDICTION_HOURS} (${MAX_PREDICTION_HOURS / 2} with a schedule)`,
+      { runs, hours, limit: MAX_PREDICTION_HOURS }
+    );
+  }
+  
+  if (schedule === undefined) {
+    return res.json(organism.predict(hours, { runs, includeConfidenceIntervals }));
+  }
+  
+  const scheduleError = validateSchedule(schedule, hours);
+  if (scheduleError) {
+    return sendError(res, 'INVALID_REQUEST', scheduleError);
+  }
+  
+  // Same seeds for both projections, so differences come from the schedule alone
+  const baseline = organism.predict(hours, { runs, includeConfidenceIntervals });
+  const scenario = organism.predict(hours, { runs, includeConfidenceIntervals, schedule });
+  
+  res.json({
+    ...baseline,
+    scenario: {
+      schedule: expandSchedule(schedule, hours),
+      predictions: scenario.predictions,
+      harvestTime: scenario.harvestTime
+    },
+    comparison: baseline.predictions.map((base, i) => {
+      const what = scenario.predictions[i];
+      return {
+        hour: base.hour,
+        baseline: { biomass: base.biomass, health: base.health, stage: base.stage },
+        scenario: { biomass: what.biomass, health: what.health, stage: what.stage },
+        biomassDelta: what.biomass - base.biomass,
+        healthDelta: what.health - base.health
+      };
+    })
+  });
+});
+
+// Export data
+app.post('/api/v1/data/:organismId/export', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  const organism = ownedOrganism(req, req.params.organismId);
+  
+  if (!organism) {
+    return sendError(res, 'INVALID_ORGANISM_ID', 'Organism not found', { organismId: req.params.organismId });
+  }
+  
+  const { format = 'csv', dateRange = {}, includeMetadata = true } = req.body;
+  
+  if (!EXPORT_FORMATS.includes(format)) {
+    return sendError(
+      res,
+      'INVALID_REQUEST',
+      `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`
+    );
+  }
+  
+  if (!exportWriters[format]) {
+    return sendError(res, 'INVALID_REQUEST', `Export format '${format}' is not supported yet`);
+  }
+  
+  const start = parseTimestamp(dateRange.start);
+  const end = parseTimestamp(dateRange.end);
+  
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    return sendError(res, 'INVALID_REQUEST', 'Invalid date range');
+  }
+  
+  const samples = (history.get(organism.id) || []).filter(sample =>
+    (start === undefined || sample.timestamp >= start) &&
+    (end === undefined || sample.timestamp <= end)
+  );
+  
+  const writer = exportWriters[format];
+  const content = writer.write(samples, includeMetadata ? exportMetadata(organism) : null);
+  const exportId = uuidv4();
+  const expiresAt = Date.now() + EXPORT_TTL;
+  
+  exportFiles.set(exportId, {
+    owner: req.owner,
+    content,
+    contentType: writer.contentType,
+    filename: `${organism.id}.${format}`,
+    expiresAt
+  });
+  
+  res.json({
+    exportId,
+    format,
+    downloadUrl: `${req.protocol}://${req.get('host')}/api/v1/exports/${exportId}`,
+    expiresAt: new Date(expiresAt).toISOString(),
+    sizeBytes: Buffer.byteLength(content),
+    rows: samples.length
+  });
+});
+
+// Download export
+app.get('/api/v1/exports/:exportId', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  const file = exportFiles.get(req.params.exportId);
+  
+  if (!isOwned(req, file)) {
+    return sendError(res, 'NOT_FOUND', 'Export not found', { exportId: req.params.exportId });
+  }
+  
+  if (file.expiresAt <= Date.now()) {
+    exportFiles.delete(req.params.exportId);
+    return sendError(res, 'EXPORT_EXPIRED', 'Export has expired', { exportId: req.params.exportId });
+  }
+  
+  res.set('Content-Type', file.contentType);
+  res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.send(file.content);
+});
+
+// List species profiles
+app.get('/api/v1/species', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  res.json({
+    species: [
+      ...Object.values(BUILT_IN_SPECIES).map(profile => ({ ...profile, builtIn: true })),
+      ...Array.from(customSpecies.values()).map(profile => ({ ...profile, builtIn: false }))
+    ],
+    default: DEFAULT_SPECIES_PROFILE
+  });
+});
+
+// Get species profile
+app.get('/api/v1/species/:name', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  const profile = findSpeciesProfile(req.params.name);
+  
+  if (!profile) {
+    return sendError(res, 'NOT_FOUND', 'Species not found', { name: req.params.name });
+  }
+  
+  res.json({ ...profile, builtIn: !customSpecies.has(req.params.name) });
+});
+
+// Create user-defined species
+app.post('/api/v1/species', validateApiKey, requireScope('admin'), validateRequest, (req, res) => {
+  const { profile, error } = buildSpeciesProfile(req.body);
+  
+  if (error) {
+    return sendError(res, 'INVALID_REQUEST', error);
+  }
+  
+  if (findSpeciesProfile(profile.name)) {
+    return sendError(res, 'ALREADY_EXISTS', 'Species already exists', { name: profile.name });
+  }
+  
+  profile.createdAt = new Date().toISOString();
+  customSpecies.set(profile.name, profile);
+  
+  res.status(201).json({ ...profile, builtIn: false });
+});
+
+// Create environment
+app.post('/api/v1/environments', validateApiKey, requireScope('organisms:write'), validateRequest, (req, res) => {
+  const { name, description, conditions, tags = [] } = req.body;
+  
+  if (!name || !conditions) {
+    return sendError(res, 'INVALID_REQUEST', 'Name and conditions required');
   }
   
-  // In production, validate against database
-  const tier = apiKey.startsWith('sk_live_ent_') ? 'enterprise' :
-               apiKey.startsWith('sk_live_pro_') ? 'professional' : 'hobbyist';
+  const environment = {
+    id: uuidv4(),
+    owner: req.owner,
+    name,
+    description,
+    conditions: {
+      temperature: 22,
+      humidity: 65,
+      ph: 6.8,
+      lightIntensity: 5000,
+      co2: 400,
+      ...conditions
+    },
+    tags,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  
+  environments.set(environment.id, environment);
   
-  req.apiTier = tier;
-  apiTiers[tier](req, res, next);
-};
+  res.status(201).json(environmentView(environment));
+});
 
-// Routes
+// List environments
+app.get('/api/v1/environments', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  res.json({
+    environments: Array.from(environments.values())
+      .filter(environment => isOwned(req, environment))
+      .map(environmentView)
+  });
+});
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy',
-    version: '1.0.0',
-    timestamp: new Date().toISOString()
+// Get environment with its member organisms
+app.get('/api/v1/environments/:id', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  const environment = ownedEnvironment(req, req.params.id);
+  
+  if (!environment) {
+    return sendError(res, 'NOT_FOUND', 'Environment not found', { environmentId: req.params.id });
+  }
+  
+  const members = [];
+  organisms.forEach(organism => {
+    if (organism.environmentId === environment.id) members.push(organism.id);
   });
+  
+  res.json({ ...environmentView(environment), organismIds: members });
 });
 
-// Create organism
-app.post('/api/v1/organisms', validateApiKey, (req, res) => {
-  const { species, initialBiomass } = req.body;
+// Apply environment to organisms
+app.post('/api/v1/environments/:id/apply', validateApiKey, requireScope('organisms:write'), validateRequest, (req, res) => {
+  const environment = ownedEnvironment(req, req.params.id);
   
-  if (!species) {
-    return res.status(400).json({ error: 'Species required' });
+  if (!environment) {
+    return sendError(res, 'NOT_FOUND', 'Environment not found', { environmentId: req.params.id });
   }
   
-  const organism = new OrganismModel(species, initialBiomass);
-  organisms.set(organism.id, organism);
+  const { organismIds } = req.body;
   
-  res.status(201).json({
-    organism: organism.getState(),
-    message: 'Organism created successfully'
+  if (!Array.isArray(organismIds) || organismIds.length === 0) {
+    return sendError(res, 'INVALID_REQUEST', 'organismIds must be a non-empty array');
+  }
+  
+  const results = organismIds.map(organismId => {
+    const organism = ownedOrganism(req, organismId);
+    
+    if (!organism) {
+      return { organismId, success: false, ...errorBody('INVALID_ORGANISM_ID', 'Organism not found') };
+    }
+    
+    organism.audit(
+      { type: 'environment_applied', source: 'rest', actor: req.keyId, details: { environmentId: environment.id } },
+      () => {
+        organism.environmentId = environment.id;
+        organism.updateEnvironment(environment.conditions);
+      }
+    );
+    commitOrganism(organism, 'environment');
+    
+    return { organismId, success: true };
+  });
+  
+  res.json({
+    affectedOrganisms: results.filter(r => r.success).length,
+    results
   });
 });
 
-// Get organism
-app.get('/api/v1/organisms/:id', validateApiKey, (req, res) => {
-  const organism = organisms.get(req.params.id);
+// Yield report for an environment, by species and by organism
+app.get('/api/v1/environments/:id/yield', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  const environment = ownedEnvironment(req, req.params.id);
   
-  if (!organism) {
-    return res.status(404).json({ error: 'Organism not found' });
+  if (!environment) {
+    return sendError(res, 'NOT_FOUND', 'Environment not found', { environmentId: req.params.id });
   }
   
-  res.json(organism.getState());
+  const records = [];
+  harvests.forEach(organismRecords => {
+    organismRecords.forEach(record => {
+      if (record.environmentId === environment.id) records.push(record);
+    });
+  });
+  
+  const groupBy = (key) => {
+    const groups = {};
+    records.forEach(record => {
+      (groups[record[key]] = groups[record[key]] || []).push(record);
+    });
+    return groups;
+  };
+  
+  res.json({
+    environmentId: environment.id,
+    ...summarizeYield(records),
+    bySpecies: Object.entries(groupBy('species')).map(([species, group]) => ({
+      species,
+      ...summarizeYield(group)
+    })),
+    byOrganism: Object.entries(groupBy('organismId')).map(([organismId, group]) => ({
+      organismId,
+      species: group[0].species,
+      ...summarizeYield(group)
+    }))
+  });
 });
 
-// Update organism
-app.put('/api/v1/organisms/:id', validateApiKey, (req, res) => {
-  const organism = organisms.get(req.params.id);
+// Update environment conditions
+app.put('/api/v1/environments/:id/conditions', validateApiKey, requireScope('organisms:write'), validateRequest, (req, res) => {
+  const environment = ownedEnvironment(req, req.params.id);
   
-  if (!organism) {
-    return res.status(404).json({ error: 'Organism not found' });
+  if (!environment) {
+    return sendError(res, 'NOT_FOUND', 'Environment not found', { environmentId: req.params.id });
   }
   
-  const { simulate, environmentalFactors } = req.body;
+  const { conditions } = req.body;
   
-  if (environmentalFactors) {
-    organism.updateEnvironment(environmentalFactors);
+  if (!conditions || typeof conditions !== 'object') {
+    return sendError(res, 'INVALID_REQUEST', 'Conditions required');
   }
   
-  if (simulate) {
-    organism.simulate();
-  }
+  environment.conditions = mergeFactors(environment.conditions, conditions);
+  environment.updatedAt = new Date().toISOString();
+  environments.set(environment.id, environment);
   
-  res.json(organism.getState());
+  // Update all organisms in this environment
+  const affectedOrganisms = [];
+  
+  organisms.forEach(organism => {
+    if (organism.environmentId !== environment.id) return;
+    
+    organism.audit(
+      { type: 'environment_updated', source: 'rest', actor: req.keyId, details: { environmentId: environment.id } },
+      () => organism.updateEnvironment(conditions)
+    );
+    commitOrganism(organism, 'environment');
+    affectedOrganisms.push(organism.id);
+  });
+  
+  res.json({
+    message: 'Environment updated',
+    environment: environmentView(environment),
+    affectedOrganisms: affectedOrganisms.length
+  });
 });
 
-// Delete organism
-app.delete('/api/v1/organisms/:id', validateApiKey, (req, res) => {
-  if (!organisms.has(req.params.id)) {
-    return res.status(404).json({ error: 'Organism not found' });
+// Create experiment
+app.post('/api/v1/experiments', validateApiKey, requireScope('experiments:run'), validateRequest, (req, res) => {
+  const {
+    name,
+    description,
+    species,
+    conditions,
+    duration,
+    replications = 3,
+    initialBiomass = 100,
+    seed
+  } = req.body;
+  
+  if (!name || !species) {
+    return sendError(res, 'INVALID_REQUEST', 'Name and species required');
   }
   
-  organisms.delete(req.params.id);
+  if (!findSpeciesProfile(species)) {
+    return sendError(res, 'INVALID_REQUEST', 'Unknown species (see /species)', { field: 'species', species });
+  }
+    if (!Array.isArray(conditions) || conditions.length < 2) {
+    return sendError(res, 'INVALID_REQUEST', 'At least two conditions required');
+  }
   
-  // Close any WebSocket connections
-  const ws = wsConnections.get(req.params.id);
-  if (ws) {
-    ws.close();
-    wsConnections.delete(req.params.id);
+  const names = conditions.map(cond => cond && cond.name);
+  if (names.some(n => !n) || new Set(names).size !== names.length) {
+    return sendError(res, 'INVALID_REQUEST', 'Every condition needs a unique name');
   }
   
-  res.json({ message: 'Organism deleted successfully' });
+  if (!Number.isInteger(duration) || duration < 1 || duration > 720) {
+    return sendError(res, 'INVALID_REQUEST', 'Duration must be an integer between 1 and 720 hours');
+  }
+  
+  if (!Number.isInteger(replications) || replications < 1 || replications > 10) {
+    return sendError(res, 'INVALID_REQUEST', 'Replications must be an integer between 1 and 10');
+  }
+  
+  if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF)) {
+    return sendError(res, 'INVALID_REQUEST', 'Seed must be an integer between 0 and 4294967295');
+  }
+  
+  const experiment = {
+    id: uuidv4(),
+    owner: req.owner,
+    name,
+    description,
+    status: 'pending',
+    species,
+    conditions: conditions.map(cond => ({
+      name: cond.name,
+      environmentalFactors: cond.environmentalFactors || {}
+    })),
+    duration,
+    replications,
+    initialBiomass,
+    seed,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    results: []
+  };
+  
+  experiments.set(experiment.id, experiment);
+  
+  res.status(201).json(experimentView(experiment));
 });
 
-// Get historical data
-app.get('/api/v1/data/:organismId/historical', validateApiKey, (req, res) => {
-  const organism = organisms.get(req.params.organismId);
+// Get experiment
+app.get('/api/v1/experiments/:id', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  const experiment = experiments.get(req.params.id);
   
-  if (!organism) {
-    return res.status(404).json({ error: 'Organism not found' });
+  if (!isOwned(req, experiment)) {
+    return sendError(res, 'NOT_FOUND', 'Experiment not found', { experimentId: req.params.id });
   }
   
-  // In production, retrieve from time-series database
-  const mockHistorical = [];
-  const currentState = organism.getState();
+  res.json(experimentView(experiment));
+});
+
+// Run experiment
+app.post('/api/v1/experiments/:id/run', validateApiKey, requireScope('experiments:run'), validateRequest, (req, res) => {
+  const experiment = experiments.get(req.params.id);
   
-  for (let i = 23; i >= 0; i--) {
-    mockHistorical.push({
-      timestamp: Date.now() - (i * 3600000),
-      biomass: currentState.biomass * (1 - i * 0.03),
-      health: Math.max(80, currentState.health - i * 0.5),
-      stage: i > 12 ? 'VEGETATIVE' : currentState.stage
-    });
+  if (!isOwned(req, experiment)) {
+    return sendError(res, 'NOT_FOUND', 'Experiment not found', { experimentId: req.params.id });
   }
   
-  res.json({
-    organismId: req.params.organismId,
-    dataPoints: mockHistorical,
-    resolution: 'hourly'
+  if (experiment.status === 'running') {
+    return sendError(res, 'EXPERIMENT_RUNNING', 'Experiment already running', { experimentId: experiment.id });
+  }
+  
+  const totalHours = experiment.conditions.length * experiment.replications * experiment.duration;
+  const estimatedCompletionTime = new Date(Date.now() + Math.ceil(totalHours * SIMULATED_HOUR_COST_MS));
+  
+  runExperiment(experiment, req.keyId);
+  
+  res.status(202).json({
+    status: 'running',
+    estimatedCompletionTime: estimatedCompletionTime.toISOString()
   });
 });
 
-// Predict growth
-app.post('/api/v1/data/:organismId/predict', validateApiKey, (req, res) => {
-  const organism = organisms.get(req.params.organismId);
+// Get experiment results
+app.get('/api/v1/experiments/:id/results', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  const experiment = experiments.get(req.params.id);
   
-  if (!organism) {
-    return res.status(404).json({ error: 'Organism not found' });
+  if (!isOwned(req, experiment)) {
+    return sendError(res, 'NOT_FOUND', 'Experiment not found', { experimentId: req.params.id });
+  }
+  
+  res.json(summarizeExperiment(experiment));
+});
+
+// Search environmental setpoints for an organism or species profile
+app.post('/api/v1/optimize', validateApiKey, requireScope('experiments:run'), validateRequest, (req, res) => {
+  const {
+    organismId,
+    species,
+    objective = 'max_biomass',
+    hours = 168,
+    initialBiomass = 100,
+    constraints = {},
+    bounds = {},
+    maxEvaluations = 200
+  } = req.body;
+  
+  if (!organismId && !species) {
+    return sendError(res, 'INVALID_REQUEST', 'organismId or species required');
+  }
+  
+  if (!organismId && !findSpeciesProfile(species)) {
+    return sendError(res, 'INVALID_REQUEST', 'Unknown species (see /species)', { field: 'species', species });
+  }
+  
+  if (!OPTIMIZER_OBJECTIVES.includes(objective)) {
+    return sendError(
+      res,
+      'INVALID_REQUEST',
+      `Invalid objective. Must be one of: ${OPTIMIZER_OBJECTIVES.join(', ')}`
+    );
+  }
+  
+  if (!Number.isInteger(hours) || hours < 1 || hours > 720) {
+    return sendError(res, 'INVALID_REQUEST', 'Hours must be an integer between 1 and 720');
+  }
+  
+  if (!Number.isInteger(maxEvaluations) || maxEvaluations < 2 || maxEvaluations > MAX_OPTIMIZER_EVALUATIONS) {
+    return sendError(
+      res,
+      'INVALID_REQUEST',
+      `maxEvaluations must be an integer between 2 and ${MAX_OPTIMIZER_EVALUATIONS}`
+    );
+  }
+  
+  const { minHealth = 80 } = constraints;
+  if (typeof minHealth !== 'number' || minHealth < 0 || minHealth > 100) {
+    return sendError(res, 'INVALID_REQUEST', 'constraints.minHealth must be between 0 and 100');
+  }
+  
+  // Requested bounds narrow the default search space
+  const unknownFactor = Object.keys(bounds)
+    .find(factor => !Object.prototype.hasOwnProperty.call(SETPOINT_SEARCH_SPACE, factor));
+  if (unknownFactor) {
+    return sendError(
+      res,
+      'INVALID_REQUEST',
+      `Unknown bounds factor ${unknownFactor}. Must be one of: ${Object.keys(SETPOINT_SEARCH_SPACE).join(', ')}`
+    );
+  }
+  
+  const searchSpace = {};
+  for (const [factor, space] of Object.entries(SETPOINT_SEARCH_SPACE)) {
+    const range = { ...space, ...bounds[factor] };
+    if (!(range.min >= space.min && range.max <= space.max && range.min <= range.max)) {
+      return sendError(
+        res,
+        'INVALID_REQUEST',
+        `bounds.${factor} must lie within ${space.min}-${space.max} with min <= max`
+      );
+    }
+    searchSpace[factor] = range;
+  }
+  
+  let base;
+  if (organismId) {
+    const organism = ownedOrganism(req, organismId);
+    if (!organism) {
+      return sendError(res, 'INVALID_ORGANISM_ID', 'Organism not found', { organismId });
+    }
+    base = organism;
+  } else {
+    base = new OrganismModel(species, initialBiomass, { seed: 0 });
+    base.geneticTraits = { ...REFERENCE_GENETICS };
   }
   
-  const { hours = 24 } = req.body;
-  const predictions = organism.predict(hours);
+  const result = optimizeSetpoints(base, {
+    objective,
+    hours,
+    minHealth,
+    bounds: searchSpace,
+    maxEvaluations
+  });
+  
+  const currentSetpoints = {};
+  Object.keys(searchSpace).forEach(factor => {
+    currentSetpoints[factor] = base.environmentalFactors[factor];
+  });
   
-  res.json(predictions);
+  res.json({
+    organismId: organismId || null,
+    species: base.species,
+    objective,
+    hours,
+    constraints: { minHealth },
+    recommendedSetpoints: result.setpoints,
+    expectedOutcome: result.outcome,
+    currentOutcome: evaluateSetpoints(base, currentSetpoints, hours, objective),
+    feasible: result.feasible,
+    evaluations: result.evaluations
+  });
+});
+
+// Simulation clock
+app.get('/api/v1/clock', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  res.json(clock.toJSON());
+});
+
+app.post('/api/v1/clock/pause', validateAdminKey, validateRequest, (req, res) => {
+  clock.pause();
+  saveClock();
+  res.json(clock.toJSON());
+});
+
+app.post('/api/v1/clock/resume', validateAdminKey, validateRequest, (req, res) => {
+  clock.resume();
+  saveClock();
+  res.json(clock.toJSON());
 });
 
-// Environment endpoints
-app.post('/api/v1/environments', validateApiKey, (req, res) => {
-  const { name, conditions } = req.body;
+app.put('/api/v1/clock/speed', validateAdminKey, validateRequest, (req, res) => {
+  const { speed } = req.body;
   
-  // In production, store in database
-  const environment = {
-    id: uuidv4(),
-    name,
-    conditions: {
-      temperature: 22,
-      humidity: 65,
-      ph: 6.8,
-      lightIntensity: 5000,
-      co2: 400,
-      ...conditions
-    },
-    createdAt: new Date().toISOString()
-  };
+  if (typeof speed !== 'number' || !(speed > 0 && speed <= 1000000)) {
+    return sendError(res, 'INVALID_REQUEST', 'Speed must be a number greater than 0 and at most 1000000');
+  }
   
-  res.status(201).json(environment);
+  clock.setSpeed(speed);
+  saveClock();
+  res.json(clock.toJSON());
 });
 
-// Update environment conditions
-app.put('/api/v1/environments/:id/conditions', validateApiKey, (req, res) => {
-  const { conditions } = req.body;
+// Fast-forward every organism by N simulated hours, one hour at a time
+app.post('/api/v1/clock/advance', validateAdminKey, validateRequest, (req, res) => {
+  const { hours } = req.body;
   
-  // Update all organisms in this environment
-  const affectedOrganisms = [];
+  if (typeof hours !== 'number' || !(hours > 0 && hours <= MAX_ADVANCE_HOURS)) {
+    return sendError(
+      res,
+      'INVALID_REQUEST',
+      `Hours must be a number greater than 0 and at most ${MAX_ADVANCE_HOURS}`
+    );
+  }
   
-  organisms.forEach(organism => {
-    organism.updateEnvironment(conditions);
-    affectedOrganisms.push(organism.id);
-  });
+  const cohort = Array.from(organisms.values());
+  let remaining = hours;
+  
+  while (remaining > 0) {
+    const step = Math.min(1, remaining);
+    clock.advance(step * HOUR_MS);
+    endExpiredChaos();
+    cohort.forEach(catchUp);
+    spreadInfections(cohort, step);
+    cohort.forEach(organism => commitOrganism(organism, 'clock'));
+    remaining -= step;
+  }
+  
+  saveClock();
   
   res.json({
-    message: 'Environment updated',
-    affectedOrganisms: affectedOrganisms.length
+    clock: clock.toJSON(),
+    advancedHours: hours,
+    organismsAdvanced: cohort.length
   });
 });
 
-// Chaos testing endpoint
-app.post('/api/v1/chaos/trigger', validateApiKey, (req, res) => {
-  const { organismId, event } = req.body;
+// Chaos testing endpoint. Targets one organism, a list of organisms, or every
+// member of an environment.
+app.post('/api/v1/chaos/trigger', validateApiKey, requireScope('chaos:trigger'), validateRequest, (req, res) => {
+  const { organismId, organismIds, environmentId, event, intensity, duration } = req.body;
   
-  const organism = organisms.get(organismId);
-  if (!organism) {
-    return res.status(404).json({ error: 'Organism not found' });
+  if (!CHAOS_EVENTS[event]) {
+    return sendError(
+      res,
+      'INVALID_REQUEST',
+      `Invalid chaos event. Must be one of: ${Object.keys(CHAOS_EVENTS).join(', ')}`
+    );
   }
   
-  const chaosEvents = {
-    pest_outbreak: () => {
-      organism.health = Math.max(0, organism.health - 25);
-    },
-    nutrient_deficiency: () => {
-      organism.environmentalFactors.nutrients.nitrogen *= 0.5;
-    },
-    heat_wave: () => {
-      organism.environmentalFactors.temperature = 35;
-    },
-    power_outage: () => {
-      organism.environmentalFactors.lightIntensity = 0;
+  if (intensity !== undefined && !(typeof intensity === 'number' && intensity > 0 && intensity <= 1)) {
+    return sendError(res, 'INVALID_REQUEST', 'Intensity must be a number greater than 0 and at most 1');
+  }
+  
+  if (duration !== undefined) {
+    if (!CHAOS_EVENTS[event].save) {
+      return sendError(res, 'INVALID_REQUEST', `Chaos event '${event}' is instant and takes no duration`);
     }
-  };
+    if (typeof duration !== 'number' || !(duration > 0 && duration <= MAX_ADVANCE_HOURS)) {
+      return sendError(
+        res,
+        'INVALID_REQUEST',
+        `Duration must be a number of hours greater than 0 and at most ${MAX_ADVANCE_HOURS}`
+      );
+    }
+  }
   
-  if (chaosEvents[event]) {
-    chaosEvents[event]();
-    res.json({
-      message: `Chaos event '${event}' triggered`,
-      organism: organism.getState()
-    });
+  const targets = [organismId, organismIds, environmentId].filter(value => value !== undefined);
+  if (targets.length !== 1) {
+    return sendError(res, 'INVALID_REQUEST', 'Provide exactly one of organismId, organismIds or environmentId');
+  }
+  
+  let cohort;
+  let target;
+  
+  if (environmentId !== undefined) {
+    if (!ownedEnvironment(req, environmentId)) {
+      return sendError(res, 'NOT_FOUND', 'Environment not found', { environmentId });
+    }
+    cohort = Array.from(organisms.values()).filter(organism => organism.environmentId === environmentId);
+    if (cohort.length === 0) {
+      return sendError(res, 'INVALID_STATE', 'Environment has no organisms');
+    }
+    target = { environmentId };
   } else {
-    res.status(400).json({ error: 'Invalid chaos event' });
+    const ids = organismIds !== undefined ? organismIds : [organismId];
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return sendError(res, 'INVALID_REQUEST', 'organismIds must be a non-empty array');
+    }
+    const missing = ids.filter(id => !ownedOrganism(req, id));
+    if (missing.length) {
+      return sendError(
+        res,
+        'INVALID_ORGANISM_ID',
+        missing.length === 1 && organismIds === undefined ? 'Organism not found' : `Organisms not found: ${missing.join(', ')}`,
+        { organismIds: missing }
+      );
+    }
+    cohort = Array.from(new Set(ids), id => organisms.get(id));
+    target = { organismIds: cohort.map(organism => organism.id) };
+  }
+  
+  // Overlapping sessions of the same event would restore each other's values
+  let overlap = null;
+  chaosSessions.forEach(session => {
+    if (overlap || session.status !== 'active' || session.event !== event) return;
+    overlap = cohort.find(organism => session.organismIds.includes(organism.id));
+  });
+  if (overlap) {
+    return sendError(
+      res,
+      'CHAOS_EVENT_ACTIVE',
+      `Chaos event '${event}' is already active for organism ${overlap.id}`,
+      { event, organismId: overlap.id }
+    );
+  }
+  
+  const session = startChaos(
+    event,
+    intensity !== undefined ? intensity : CHAOS_EVENTS[event].defaultIntensity,
+    duration !== undefined ? duration : null,
+    cohort,
+    target,
+    req.owner,
+    req.keyId
+  );
+  
+  res.json({
+    message: `Chaos event '${event}' triggered`,
+    chaos: chaosView(session),
+    ...(organismId !== undefined
+      ? { organism: cohort[0].getState() }
+      : { organisms: cohort.map(organism => organism.getState()) })
+  });
+});
+
+// Chaos events still in effect for the calling API key
+app.get('/api/v1/chaos/active', validateApiKey, requireScope('organisms:read'), validateRequest, (req, res) => {
+  const active = Array.from(chaosSessions.values())
+    .filter(session => session.status === 'active' && session.owner === req.owner)
+    .map(chaosView);
+  
+  res.json({ chaos: active, total: active.length });
+});
+
+// Cancel a chaos event early, restoring the factors it changed
+app.post('/api/v1/chaos/:id/cancel', validateApiKey, requireScope('chaos:trigger'), validateRequest, (req, res) => {
+  const session = chaosSessions.get(req.params.id);
+  
+  if (!session || session.owner !== req.owner) {
+    return sendError(res, 'NOT_FOUND', 'Chaos event not found', { chaosId: req.params.id });
   }
+  
+  if (session.status !== 'active') {
+    return sendError(res, 'INVALID_STATE', `Chaos event already ${session.status}`);
+  }
+  
+  endChaos(session, 'cancelled', req.keyId);
+  
+  res.json({
+    message: `Chaos event '${session.event}' cancelled`,
+    chaos: chaosView(session)
+  });
 });
 
 // WebSocket server for real-time streaming
 const wss = new WebSocket.Server({ port: 3001 });
 
 wss.on('connection', (ws, req) => {
-  const organismId = new URL(req.url, `http://${req.headers.host}`).searchParams.get('organismId');
+  const params = new URL(req.url, `http://${req.headers.host}`).searchParams;
+  const organismId = params.get('organismId');
+  const apiKey = req.headers['x-api-key'] || params.get('apiKey'); // Query parameter for browsers
+  const key = apiKey ? findApiKey(apiKey) : null;
+  
+  if (!key) {
+    rejectSocket(ws, 1008, 'UNAUTHORIZED', apiKey ? 'Invalid API key' : 'API key required');
+    return;
+  }
+  
+  if (!hasScope(keyScopes(key), 'organisms:read')) {
+    rejectSocket(ws, 1008, ...insufficientScope('organisms:read', keyScopes(key)));
+    return;
+  }
   
-  if (!organismId || !organisms.has(organismId)) {
-    ws.close(1008, 'Invalid organism ID');
+  // Opening a stream counts as a request
+  const { error: rateError } = consumeRequest(key);
+  if (rateError) {
+    rejectSocket(ws, 1013, ...rateError);
     return;
   }
   
+  const actor = key.id;
+  const organism = organisms.get(organismId);
+  
+  if (!organism || organism.owner !== key.tenantId) {
+    rejectSocket(ws, 1008, 'INVALID_ORGANISM_ID', 'Organism not found', { organismId });
+    return;
+  }
+  
+  ws.keyId = key.id;
   wsConnections.set(organismId, ws);
   
+  if (catchUp(organism) > 0) commitOrganism(organism, 'simulate');
+  
   // Send initial state
   ws.send(JSON.stringify({
     type: 'initial',
-    data: organisms.get(organismId).getState()
+    data: organism.getState()
   }));
   
-  // Set up real-time updates
+  // Set up real-time updates, catching the organism up with the clock
   const interval = setInterval(() => {
     const organism = organisms.get(organismId);
     if (organism && ws.readyState === WebSocket.OPEN) {
-      organism.simulate(0.1); // Simulate 0.1 time units
+      const hours = catchUp(organism);
+      
+      if (hours > 0) {
+        exposeToNeighbours(organism, hours);
+        commitOrganism(organism, 'simulate');
+      }
       ws.send(JSON.stringify({
         type: 'update',
         data: organism.getState()
@@ -486,58 +4274,122 @@ wss.on('connection', (ws, req) => {
   });
   
   ws.on('message', (message) => {
+    const messageError = consumeWebsocketMessage(apiKeys.get(actor));
+    if (messageError) {
+      sendSocketError(ws, ...messageError);
+      return;
+    }
+    
+    let action;
+    let data;
     try {
-      const { action, data } = JSON.parse(message);
-      const organism = organisms.get(organismId);
-      
-      if (action === 'updateEnvironment' && organism) {
-        organism.updateEnvironment(data);
-        ws.send(JSON.stringify({
-          type: 'environmentUpdated',
-          data: organism.getState()
-        }));
-      }
+      ({ action, data } = JSON.parse(message));
     } catch (error) {
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Invalid message format'
-      }));
+      sendSocketError(ws, 'INVALID_REQUEST', 'Invalid message format');
+      return;
+    }
+    
+    if (action !== 'updateEnvironment') {
+      sendSocketError(ws, 'INVALID_REQUEST', `Unknown action: ${action}`, { field: 'action' });
+      return;
+    }
+
+    const dataErrors = [];
+    validateValue(ENVIRONMENTAL_FACTORS_SCHEMA, data, 'data', 'message', dataErrors);
+    if (dataErrors.length > 0) {
+      sendSocketError(ws, ...invalidRequest(dataErrors));
+      return;
+    }
+
+    const organism = organisms.get(organismId);
+    if (!organism) {
+      sendSocketError(ws, 'INVALID_ORGANISM_ID', 'Organism not found', { organismId });
+      return;
+    }
+    
+    // Scopes are read per message so a change applies to open streams
+    const scopes = keyScopes(apiKeys.get(actor));
+    if (!hasScope(scopes, 'organisms:write')) {
+      sendSocketError(ws, ...insufficientScope('organisms:write', scopes));
+      return;
+    }
+    
+    try {
+      organism.audit(
+        { type: 'environment_updated', source: 'websocket', actor },
+        () => organism.updateEnvironment(data)
+      );
+      commitOrganism(organism, 'environment');
+    } catch (error) {
+      console.error(error.stack);
+      sendSocketError(ws, 'SERVER_ERROR', 'Internal server error');
+      return;
     }
+    
+    ws.send(JSON.stringify({
+      type: 'environmentUpdated',
+      data: organism.getState()
+    }));
   });
 });
 
-// Error handling
+// Error handling. Body parser failures are the client's fault; anything
+// else is a server error.
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 'INVALID_REQUEST', 'Request body is not valid JSON');
+  }
+  
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 'PAYLOAD_TOO_LARGE', 'Request body is too large', { limit: err.limit });
+  }
+  
   console.error(err.stack);
-  res.status(500).json({
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? err.message : undefined
-  });
+  sendError(
+    res,
+    'SERVER_ERROR',
+    'Internal server error',
+    process.env.NODE_ENV === 'development' ? { message: err.message } : undefined
+  );
 });
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({ error: 'Endpoint not found' });
+  sendError(res, 'NOT_FOUND', 'Endpoint not found', { method: req.method, path: req.path });
 });
 
+assertRoutesMatchSpec();
+
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Spore Protocol Simulator API running on port ${PORT}`);
   console.log(`WebSocket server running on port 3001`);
+  console.log(`Storage backend: ${STORAGE_BACKEND} (${organisms.size} organisms loaded)`);
+  if (!ADMIN_API_KEY) {
+    console.warn('ADMIN_API_KEY is not set: API keys cannot be created and the clock cannot be controlled');
+  }
 });
 
 // Cleanup function
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, closing connections...');
+const shutdown = (signal) => {
+  console.log(`${signal} received, closing connections...`);
   
   // Close all WebSocket connections
   wsConnections.forEach(ws => ws.close());
+  wss.close();
+  
+  // Persist any unsaved state
+  saveClock();
+  stores.forEach(store => store.close());
   
   // Close HTTP server
-  app.close(() => {
+  server.close(() => {
     console.log('Server closed');
     process.exit(0);
   });
-});
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,98 @@
+// Tests for the Spore Protocol Simulator API. Each run starts the server in a
+// child process with in-memory storage and talks to it over HTTP.
+// Run with: node --test Dapp/
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PORT = 3900 + Math.floor(Math.random() * 100);
+const ADMIN_KEY = 'test-admin-key';
+const BASE_URL = `http://localhost:${PORT}/api/v1`;
+const README = path.join(__dirname, '..', 'README.md');
+
+let server;
+let apiKey;
+
+const request = async (method, urlPath, { body, headers = {} } = {}) => {
+  const response = await fetch(`${BASE_URL}${urlPath}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey, ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Resolves with the child process once it listens; rejects with its stderr
+// if it exits first
+const startServer = (env = {}) => {
+  const child = spawn(process.execPath, [path.join(__dirname, 'spore-simulator-api.js')], {
+    env: { ...process.env, PORT: String(PORT), ADMIN_API_KEY: ADMIN_KEY, STORAGE_BACKEND: 'memory', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  return new Promise((resolve, reject) => {
+    let stderr = '';
+    child.stdout.on('data', (data) => {
+      if (data.toString().includes('running on port')) resolve(child);
+    });
+    child.stderr.on('data', (data) => { stderr += data; });
+    child.on('exit', (code) => reject(new Error(`Server exited with code ${code}\n${stderr}`)));
+  });
+};
+
+before(async () => {
+  server = await startServer();
+
+  const created = await request('POST', '/admin/keys', {
+    body: { name: 'tests', scopes: ['admin'] },
+    headers: { 'X-Admin-Key': ADMIN_KEY }
+  });
+  apiKey = created.body.apiKey;
+});
+
+after(() => {
+  if (server) server.kill('SIGTERM');
+});
+
+test('an organism can be moved to DECAY from any stage, DECAY included', async () => {
+  const { body } = await request('POST', '/organisms', { body: { species: 'Tomato' } });
+  const id = body.organism.id;
+
+  const first = await request('POST', `/organisms/${id}/stage`, { body: { stage: 'DECAY' } });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.stage, 'DECAY');
+
+  const again = await request('POST', `/organisms/${id}/stage`, { body: { stage: 'DECAY' } });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.stage, 'DECAY');
+});
+
+test('other moves out of DECAY are still rejected', async () => {
+  const { body } = await request('POST', '/organisms', { body: { species: 'Tomato' } });
+  const id = body.organism.id;
+  await request('POST', `/organisms/${id}/stage`, { body: { stage: 'DECAY' } });
+
+  const back = await request('POST', `/organisms/${id}/stage`, { body: { stage: 'VEGETATIVE' } });
+  assert.equal(back.status, 400);
+  assert.equal(back.body.error.code, 'INVALID_STAGE_TRANSITION');
+});
+
+test('the server refuses to start when its routes and the spec disagree', async () => {
+  const specPath = path.join(os.tmpdir(), `spore-openapi-${process.pid}.md`);
+  const readme = fs.readFileSync(README, 'utf8');
+  // Drops the /health operation and documents a path with no route
+  fs.writeFileSync(specPath, readme.replace('  /health:\n', '  /not-served:\n'));
+
+  try {
+    await assert.rejects(
+      startServer({ OPENAPI_SPEC: specPath, PORT: String(PORT + 100) }),
+      /Missing from the spec: GET \/health\. Missing routes: GET \/not-served/
+    );
+  } finally {
+    fs.unlinkSync(specPath);
+  }
+});